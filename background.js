@@ -1,9 +1,12 @@
 /**
  * NetRot Background Service Worker
- * Handles API calls to OMDb with multi-layer caching.
+ * Handles API calls to ratings providers (OMDb by default) with multi-layer caching.
  * Part of the Hybrid caching architecture (orchestration layer).
  */
 
+// Shared with the options page (offline dataset import)
+importScripts('idb.js', 'offline-db.js');
+
 // ============================================================================
 // DEBUG LOGGING
 // ============================================================================
@@ -39,107 +42,114 @@ function logError(...args) {
     console.error('[NetRot]', ...args);
 }
 
-// Import cache manager (bundled inline for service worker compatibility)
-// Note: In production, you might use importScripts or a bundler
-
 // ============================================================================
-// CACHE MANAGER (Inlined for Service Worker)
+// CACHE MANAGER (IndexedDB, inlined for Service Worker)
 // ============================================================================
 
 class CacheManager {
     constructor() {
         this.memoryCache = new Map();
         this.pendingRequests = new Map();
-        this.STORAGE_PREFIX = 'rating_';
+        this.STORAGE_PREFIX = 'rating_'; // Legacy chrome.storage.local entries, migrated on first open
+        this.STORAGE_CLEARED_KEY = 'legacyCacheCleared'; // Set once no legacy entries are left
+
+        this.DB_NAME = 'netrot-cache';
+        this.DB_VERSION = 1;
+        this.STORE = 'ratings';
+        this.dbPromise = null;
+
+        // Defaults for the `cacheMaxEntries` / `cacheMaxMB` settings
+        this.BUDGET = {
+            MAX_ENTRIES: 5000,
+            MAX_BYTES: 10 * 1024 * 1024
+        };
+
+        // Reads not yet written back as `lastAccessed` (master key -> time). Flushed shortly after
+        // the read, since the worker (and this map) is gone ~30 s after going idle.
+        this.accessLog = new Map();
+        this.ACCESS_FLUSH_DELAY = 2000;
+        this.accessFlushTimer = null;
 
         this.TTL = {
             SUCCESS_FULL: 7 * 24 * 60 * 60 * 1000,
             SUCCESS_PARTIAL: 24 * 60 * 60 * 1000,
             NOT_FOUND: 24 * 60 * 60 * 1000,
-            ERROR: 60 * 60 * 1000
+            ERROR: 60 * 60 * 1000,
+            SEASON: 3 * 24 * 60 * 60 * 1000
         };
     }
 
+    /**
+     * Open the IndexedDB cache.
+     * Records: { key, data, timestamp, ttl, completeness, netflixId, imdbId, titleKeys, lastAccessed, query }
+     * `query` is the scraped {title, year} the record was fetched for, used by the refresh job.
+     * `key` is the master key (netrot_<videoId>, or title_year for records without an ID);
+     * aliases are indexes instead of pointer entries.
+     */
+    openDb() {
+        if (!this.dbPromise) {
+            let created = false;
+            this.dbPromise = Idb.open(this.DB_NAME, this.DB_VERSION, (db, oldVersion) => {
+                if (oldVersion < 1) {
+                    const store = db.createObjectStore(this.STORE, { keyPath: 'key' });
+                    store.createIndex('netflixId', 'netflixId');
+                    store.createIndex('imdbId', 'imdbId');
+                    store.createIndex('titleKey', 'titleKeys', { multiEntry: true });
+                    created = true;
+                }
+            }).then(async (db) => {
+                if (created) await this.migrateFromStorage(db);
+                return db;
+            }).catch((e) => {
+                this.dbPromise = null;
+                throw e;
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * @returns {Promise<{data: Object, source: string, key: string}|null>} key: the master record's key
+     *          (for patch), which differs from the looked-up key when a title or IMDb alias matched
+     */
     async get(videoId, title, year) {
         // 1. Try to find a valid key to lookup
         const keys = this.getSearchKeys(videoId, title, year);
 
-        // Helper to check and resolve pointer
-        const resolve = async (key, source) => {
-            let value = source === 'memory' ? this.memoryCache.get(key) : (await chrome.storage.local.get(this.STORAGE_PREFIX + key))[this.STORAGE_PREFIX + key];
-
-            if (!value) return null;
-
-            // Check if it is a pointer (string)
-            if (typeof value === 'string' && value.startsWith('netrot_')) {
-                log(`Resolved pointer "${key}" -> "${value}"`);
-                // Follow pointer (recurse once)
-                const targetKey = value;
-                // Check memory first for target
-                if (this.memoryCache.has(targetKey)) {
-                    const target = this.memoryCache.get(targetKey);
-                    if (this.isValid(target)) return { data: target.data, source: 'memory_linked' };
-                }
-                // Check storage
-                const storedTarget = await chrome.storage.local.get(this.STORAGE_PREFIX + targetKey);
-                const targetEntry = storedTarget[this.STORAGE_PREFIX + targetKey];
-
-                if (targetEntry && this.isValid(targetEntry)) {
-                    // Cache the target in memory for speed
-                    this.memoryCache.set(targetKey, targetEntry);
-                    return { data: targetEntry.data, source: 'storage_linked' };
-                }
-                return null; // Pointer dead end
-            }
+        // 2. Check Memory (master entries plus alias -> master key strings)
+        for (const key of keys) {
+            if (!this.memoryCache.has(key)) continue;
 
-            // Not a pointer, normal entry
-            if (this.isValid(value)) {
-                return { data: value.data, source };
+            let value = this.memoryCache.get(key);
+            if (typeof value === 'string') {
+                log(`Resolved alias "${key}" -> "${value}"`);
+                value = this.memoryCache.get(value);
             }
 
-            return null;
-        }
-
-        // 2. Check Memory
-        for (const key of keys) {
-            if (this.memoryCache.has(key)) {
-                const result = await resolve(key, 'memory');
-                if (result) {
-                    log(`Memory hit for "${key}"`);
-                    return result;
-                } else {
-                    this.memoryCache.delete(key);
-                }
+            if (value && this.isValid(value)) {
+                log(`Memory hit for "${key}"`);
+                this.recordAccess(value.key);
+                return { data: this.withMatchFlag(value.data), source: 'memory', key: value.key };
             }
+            this.memoryCache.delete(key);
         }
 
-        // 3. Check Storage
-        const storageKeys = keys.map(k => this.STORAGE_PREFIX + k);
+        // 3. Check IndexedDB, one indexed read per key
         try {
-            const stored = await chrome.storage.local.get(storageKeys);
+            const db = await this.openDb();
+            const store = db.transaction(this.STORE, 'readonly').objectStore(this.STORE);
 
             for (const key of keys) {
-                const storageKey = this.STORAGE_PREFIX + key;
-                if (stored[storageKey]) {
-                    let val = stored[storageKey];
-
-                    // Pointer check
-                    if (typeof val === 'string' && val.startsWith('netrot_')) {
-                        log(`Storage found pointer "${key}" -> "${val}"`);
-                        const targetKey = this.STORAGE_PREFIX + val;
-                        const targetRes = await chrome.storage.local.get(targetKey);
-                        const targetVal = targetRes[targetKey];
-
-                        if (targetVal && this.isValid(targetVal)) {
-                            this.memoryCache.set(val, targetVal); // Cache absolute target
-                            this.memoryCache.set(key, val); // Cache pointer
-                            return { data: targetVal.data, source: 'storage' };
-                        }
-                    } else if (this.isValid(val)) {
-                        log(`Storage hit for "${key}"`);
-                        this.memoryCache.set(key, val);
-                        return { data: val.data, source: 'storage' };
-                    }
+                const record = key === `netrot_${videoId}`
+                    ? await Idb.request(store.index('netflixId').get(videoId))
+                    : this.pickLatest(await Idb.request(store.index('titleKey').getAll(key)));
+
+                if (record && this.isValid(record)) {
+                    log(`Storage hit for "${key}"`);
+                    this.memoryCache.set(record.key, record);
+                    this.recordAccess(record.key);
+                    if (record.key !== key) this.memoryCache.set(key, record.key);
+                    return { data: this.withMatchFlag(record.data), source: 'storage', key: record.key };
                 }
             }
         } catch (e) {
@@ -149,6 +159,76 @@ class CacheManager {
         return null;
     }
 
+    /**
+     * Records cached before matches carried `uncertain` get it from their confidence
+     */
+    withMatchFlag(data) {
+        if (typeof data?.match?.confidence !== 'number' || 'uncertain' in data.match) return data;
+        return { ...data, match: matchInfo(data.match.method, data.match.confidence) };
+    }
+
+    /**
+     * Note a read of a master record; `lastAccessed` is written back in one batch (flushAccessLog)
+     */
+    recordAccess(key) {
+        const now = Date.now();
+        this.accessLog.set(key, now);
+
+        // Later writes of the memory entry (patch) must not put the old time back
+        const entry = this.memoryCache.get(key);
+        if (entry && typeof entry === 'object') entry.lastAccessed = now;
+
+        if (this.accessFlushTimer) return;
+        this.accessFlushTimer = setTimeout(() => {
+            this.accessFlushTimer = null;
+            this.flushAccessLog();
+        }, this.ACCESS_FLUSH_DELAY);
+    }
+
+    async flushAccessLog() {
+        if (this.accessLog.size === 0) return;
+        const pending = new Map(this.accessLog);
+        this.accessLog.clear();
+
+        try {
+            const db = await this.openDb();
+            const tx = db.transaction(this.STORE, 'readwrite');
+            const store = tx.objectStore(this.STORE);
+            const records = await Promise.all([...pending.keys()].map(key => Idb.request(store.get(key))));
+
+            records.forEach((record) => {
+                const accessed = record && pending.get(record.key);
+                if (accessed && accessed > (record.lastAccessed || 0)) {
+                    record.lastAccessed = accessed;
+                    store.put(record);
+                }
+            });
+            await Idb.done(tx);
+        } catch (e) {
+            logError('Access time write error:', e);
+            // Keep them for the next flush or compaction
+            pending.forEach((accessed, key) => {
+                if (accessed > (this.accessLog.get(key) || 0)) this.accessLog.set(key, accessed);
+            });
+        }
+    }
+
+    /**
+     * Find a valid cached record by IMDb ID (any Netflix ID it was cached for)
+     * @returns {Promise<Object|null>} Cache entry or null
+     */
+    async getByImdbId(imdbId) {
+        try {
+            const db = await this.openDb();
+            const store = db.transaction(this.STORE, 'readonly').objectStore(this.STORE);
+            const records = await Idb.request(store.index('imdbId').getAll(imdbId));
+            return this.pickLatest(records.filter(record => record.data.status === 'success'));
+        } catch (e) {
+            logError('Storage read error:', e);
+            return null;
+        }
+    }
+
     async set(videoId, title, year, data) {
         if (videoId && !data.netflixId) {
             data.netflixId = videoId;
@@ -157,65 +237,292 @@ class CacheManager {
         // Define the Master Key
         // If we have a videoId, that IS the master key.
         // If not, we fall back to Title_Year as master (legacy mode).
-        let masterKey = null;
-        if (videoId) {
-            masterKey = `netrot_${videoId}`;
-        } else {
-            masterKey = this.getPrimaryKey(null, title, year);
-        }
+        const masterKey = videoId ? `netrot_${videoId}` : this.getPrimaryKey(null, title, year);
 
-        const ttl = this.getTTL(data);
         const entry = {
+            key: masterKey,
             data,
             timestamp: Date.now(),
-            ttl,
-            completeness: year ? 'full' : 'partial'
+            ttl: this.getTTL(data),
+            completeness: year ? 'full' : 'partial',
+            netflixId: videoId || undefined,
+            imdbId: data.imdbId || undefined,
+            titleKeys: this.getTitleKeys(title, year),
+            lastAccessed: Date.now(),
+            query: { title: title || null, year: year || null }
         };
 
-        const storageUpdates = {};
-
-        // 1. Store Master Record
+        // Memory keeps alias -> master key strings; IndexedDB answers aliases from its indexes
         this.memoryCache.set(masterKey, entry);
-        storageUpdates[this.STORAGE_PREFIX + masterKey] = entry;
+        for (const alias of [...entry.titleKeys, entry.imdbId]) {
+            if (alias && alias !== masterKey) this.memoryCache.set(alias, masterKey);
+        }
+
+        try {
+            await this.putRecord(entry);
+            log(`Saved for ${masterKey} (aliases: ${entry.titleKeys.join(', ') || 'none'})`);
+        } catch (e) {
+            logError('Storage write error:', e);
+        }
+    }
 
-        // 2. Create Pointers for Secondary Keys
-        // Only if we are using ID-based master key.
-        const secondaryKeys = [];
+    /**
+     * Update fields of an existing master record without touching its timestamp/TTL
+     * @param {string} masterKey - Record key, as returned by get() (titles may resolve through an alias)
+     * @param {function(Object): Object} update - Receives current data, returns fields to merge in
+     * @returns {Promise<boolean>} false if there is no master record or it couldn't be written
+     */
+    async patch(masterKey, update) {
+        try {
+            let entry = this.memoryCache.get(masterKey);
+            if (!entry || typeof entry === 'string') {
+                const db = await this.openDb();
+                entry = await Idb.request(db.transaction(this.STORE, 'readonly').objectStore(this.STORE).get(masterKey));
+            }
+            if (!entry || typeof entry === 'string') return false;
 
-        // Title Keys
-        if (title) {
-            const normalized = this.normalizeTitle(title);
-            secondaryKeys.push(normalized);
-            if (year) {
-                secondaryKeys.push(`${normalized}_${year.substring(0, 4)}`);
+            const updated = { ...entry, data: { ...entry.data, ...update(entry.data) } };
+            this.memoryCache.set(masterKey, updated);
+            await this.putRecord(updated);
+            return true;
+        } catch (e) {
+            logError('Storage write error:', e);
+            return false;
+        }
+    }
+
+    /**
+     * Drop the master record for a Netflix ID (memory aliases resolve to nothing afterwards)
+     */
+    async remove(videoId) {
+        const masterKey = `netrot_${videoId}`;
+        this.memoryCache.delete(masterKey);
+        try {
+            const db = await this.openDb();
+            const tx = db.transaction(this.STORE, 'readwrite');
+            tx.objectStore(this.STORE).delete(masterKey);
+            await Idb.done(tx);
+        } catch (e) {
+            logError('Storage remove error:', e);
+        }
+    }
+
+    /**
+     * Remove every cached record
+     * @returns {Promise<number>} Number of records removed
+     */
+    async clear() {
+        this.memoryCache.clear();
+        this.pendingRequests.clear();
+
+        const db = await this.openDb();
+        const tx = db.transaction(this.STORE, 'readwrite');
+        const store = tx.objectStore(this.STORE);
+        const count = await Idb.request(store.count());
+        store.clear();
+        await Idb.done(tx);
+        return count;
+    }
+
+    /**
+     * Maintenance: purge expired records, enforce the entry/byte budget by evicting the
+     * least recently used records, and drop memory aliases whose master record is gone.
+     * Also removes `rating_` leftovers in chrome.storage.local (pointers from before the IndexedDB move).
+     * @param {{maxEntries: number, maxBytes: number}} budget
+     * @returns {Promise<Object>} Report: { expired, evicted, orphans, freedBytes, entries, bytes }
+     */
+    async compact({ maxEntries = this.BUDGET.MAX_ENTRIES, maxBytes = this.BUDGET.MAX_BYTES } = {}) {
+        const db = await this.openDb();
+        const tx = db.transaction(this.STORE, 'readwrite');
+        const store = tx.objectStore(this.STORE);
+        const records = await Idb.request(store.getAll());
+
+        const encoder = new TextEncoder();
+        const removed = new Set();
+        const report = { expired: 0, evicted: 0, orphans: 0, freedBytes: 0, entries: 0, bytes: 0 };
+
+        const live = [];
+        for (const record of records) {
+            const size = encoder.encode(JSON.stringify(record)).length;
+            const accessed = this.accessLog.get(record.key);
+
+            if (!this.isValid(record)) {
+                store.delete(record.key);
+                removed.add(record.key);
+                report.expired++;
+                report.freedBytes += size;
+                continue;
+            }
+
+            if (accessed && accessed > (record.lastAccessed || 0)) {
+                record.lastAccessed = accessed;
+                store.put(record);
             }
+            live.push({ record, size });
+            report.bytes += size;
         }
 
-        // IMDb Key
-        if (data.imdbId) {
-            secondaryKeys.push(data.imdbId);
+        // Least recently used first
+        live.sort((a, b) => (a.record.lastAccessed || a.record.timestamp) - (b.record.lastAccessed || b.record.timestamp));
+
+        let entries = live.length;
+        for (const { record, size } of live) {
+            if (entries <= maxEntries && report.bytes <= maxBytes) break;
+            store.delete(record.key);
+            removed.add(record.key);
+            entries--;
+            report.bytes -= size;
+            report.evicted++;
+            report.freedBytes += size;
         }
+        report.entries = entries;
 
-        // Process Secondary Keys
-        for (const secKey of secondaryKeys) {
-            if (secKey === masterKey) continue; // Don't point to self
+        await Idb.done(tx);
+        this.accessLog.clear();
 
-            if (videoId) {
-                // If we have a master ID, make these POINTERS
-                this.memoryCache.set(secKey, masterKey);
-                storageUpdates[this.STORAGE_PREFIX + secKey] = masterKey;
-            } else {
-                // Legacy mode: No ID, so we must copy (duplication)
-                this.memoryCache.set(secKey, entry);
-                storageUpdates[this.STORAGE_PREFIX + secKey] = entry;
+        // Memory: evicted masters and aliases that no longer lead anywhere
+        for (const [key, value] of this.memoryCache) {
+            if (removed.has(key) || (typeof value !== 'string' && !this.isValid(value))) {
+                this.memoryCache.delete(key);
+            }
+        }
+        for (const [key, value] of this.memoryCache) {
+            if (typeof value === 'string' && !this.memoryCache.has(value)) {
+                this.memoryCache.delete(key);
+                report.orphans++;
             }
         }
 
+        report.orphans += await this.removeStorageLeftovers();
+
+        log(`[Maintenance] ${report.expired} expired, ${report.evicted} evicted, ${report.orphans} orphaned aliases; ` +
+            `freed ${report.freedBytes} bytes, ${report.entries} entries / ${report.bytes} bytes left`);
+        return report;
+    }
+
+    /**
+     * Successful records in the last part of their TTL, most recently viewed first
+     * @param {number} window - Fraction of the TTL left at which a record becomes due (e.g. 0.25)
+     * @param {number} limit - Maximum number of records to return
+     * @returns {Promise<Object[]>} Cache records
+     */
+    async getRefreshCandidates(window, limit) {
+        const db = await this.openDb();
+        const records = await Idb.request(db.transaction(this.STORE, 'readonly').objectStore(this.STORE).getAll());
+        const now = Date.now();
+
+        return records
+            .filter(record => record.data.status === 'success' &&
+                record.query?.title &&
+                this.isValid(record) &&
+                record.timestamp + record.ttl - now < record.ttl * window)
+            .map(record => ({
+                record,
+                accessed: Math.max(this.accessLog.get(record.key) || 0, record.lastAccessed || record.timestamp)
+            }))
+            .sort((a, b) => b.accessed - a.accessed)
+            .slice(0, limit)
+            .map(({ record }) => record);
+    }
+
+    /**
+     * Remove `rating_` keys still in chrome.storage.local (e.g. pointers left by an interrupted migration).
+     * Only until one pass succeeds: nothing writes them anymore.
+     * @returns {Promise<number>} Number of keys removed
+     */
+    async removeStorageLeftovers() {
         try {
-            await chrome.storage.local.set(storageUpdates);
-            log(`Saved for ${masterKey} (+${Object.keys(storageUpdates).length - 1} pointers)`);
+            const stored = await chrome.storage.local.get(this.STORAGE_CLEARED_KEY);
+            if (stored[this.STORAGE_CLEARED_KEY]) return 0;
+
+            const leftovers = await this.getLegacyStorageKeys();
+            if (leftovers.length > 0) await chrome.storage.local.remove(leftovers);
+            await chrome.storage.local.set({ [this.STORAGE_CLEARED_KEY]: true });
+            return leftovers.length;
         } catch (e) {
-            logError('Storage write error:', e);
+            logError('Storage cleanup error:', e);
+            return 0;
+        }
+    }
+
+    /**
+     * `rating_` keys in chrome.storage.local, without reading every value where the browser
+     * can list keys (getKeys, Chrome 130+)
+     */
+    async getLegacyStorageKeys() {
+        const keys = chrome.storage.local.getKeys
+            ? await chrome.storage.local.getKeys()
+            : Object.keys(await chrome.storage.local.get(null));
+        return keys.filter(key => key.startsWith(this.STORAGE_PREFIX));
+    }
+
+    async putRecord(entry) {
+        const db = await this.openDb();
+        const tx = db.transaction(this.STORE, 'readwrite');
+        tx.objectStore(this.STORE).put(entry);
+        await Idb.done(tx);
+    }
+
+    /**
+     * Of several records sharing an alias, prefer the most recently written valid one
+     */
+    pickLatest(records) {
+        return records
+            .filter(record => this.isValid(record))
+            .sort((a, b) => b.timestamp - a.timestamp)[0] || null;
+    }
+
+    /**
+     * One-time move of `rating_` entries from chrome.storage.local.
+     * Master entries are copied; pointer strings are dropped (their aliases become index entries).
+     */
+    async migrateFromStorage(db) {
+        try {
+            const legacyKeys = await this.getLegacyStorageKeys();
+            if (legacyKeys.length === 0) {
+                await chrome.storage.local.set({ [this.STORAGE_CLEARED_KEY]: true });
+                return;
+            }
+            const allItems = await chrome.storage.local.get(legacyKeys);
+
+            const records = new Map();
+            const aliases = [];
+
+            for (const storageKey of legacyKeys) {
+                const key = storageKey.slice(this.STORAGE_PREFIX.length);
+                const entry = allItems[storageKey];
+
+                if (typeof entry === 'string') {
+                    aliases.push([key, entry]);
+                } else if (entry?.data) {
+                    const netflixId = key.startsWith('netrot_') ? key.slice('netrot_'.length) : entry.data.netflixId;
+                    records.set(key, {
+                        ...entry,
+                        key,
+                        netflixId: netflixId || undefined,
+                        imdbId: entry.data.imdbId || undefined,
+                        titleKeys: key.startsWith('netrot_') ? [] : [key]
+                    });
+                }
+            }
+
+            // Pointer strings become title aliases of their target record
+            for (const [alias, target] of aliases) {
+                const record = records.get(target);
+                if (record && alias !== record.imdbId && !record.titleKeys.includes(alias)) {
+                    record.titleKeys.push(alias);
+                }
+            }
+
+            const tx = db.transaction(this.STORE, 'readwrite');
+            const store = tx.objectStore(this.STORE);
+            records.forEach(record => store.put(record));
+            await Idb.done(tx);
+            await chrome.storage.local.remove(legacyKeys);
+            await chrome.storage.local.set({ [this.STORAGE_CLEARED_KEY]: true });
+            log(`Migrated ${records.size} cache entries from chrome.storage.local (${legacyKeys.length} keys removed)`);
+        } catch (e) {
+            logError('Cache migration error:', e);
         }
     }
 
@@ -244,6 +551,15 @@ class CacheManager {
         return keys;
     }
 
+    /**
+     * Title aliases of a record: normalized title and normalized title + year
+     */
+    getTitleKeys(title, year) {
+        if (!title) return [];
+        const normalized = this.normalizeTitle(title);
+        return year ? [normalized, `${normalized}_${year.substring(0, 4)}`] : [normalized];
+    }
+
     getPrimaryKey(videoId, title, year) {
         if (videoId) return `netrot_${videoId}`;
         const normalized = this.normalizeTitle(title);
@@ -263,7 +579,7 @@ class CacheManager {
 
     isValid(entry) {
         if (!entry) return false;
-        // If entry is a pointer string, it's valid structurally
+        // If entry is an alias string, it's valid structurally
         if (typeof entry === 'string') return true;
 
         if (!entry.timestamp) return false;
@@ -272,12 +588,10 @@ class CacheManager {
     }
 
     async getStats() {
-        // ... (existing implementation)
         let storageCount = 0;
         try {
-            const allItems = await chrome.storage.local.get(null);
-            storageCount = Object.keys(allItems)
-                .filter(key => key.startsWith(this.STORAGE_PREFIX)).length;
+            const db = await this.openDb();
+            storageCount = await Idb.request(db.transaction(this.STORE, 'readonly').objectStore(this.STORE).count());
         } catch (e) { }
 
         return {
@@ -288,25 +602,148 @@ class CacheManager {
     }
 }
 
-class RateLimiter {
+/**
+ * Request Scheduler - Token bucket (maxRequests per window) with priority classes.
+ * Waiting requests are granted highest priority first, FIFO within a class, and can be
+ * re-prioritized or withdrawn while queued. Several requesters can wait on the same key.
+ */
+class RequestScheduler {
     constructor(maxRequests = 10, windowMs = 1000) {
         this.tokens = maxRequests;
         this.maxTokens = maxRequests;
         this.windowMs = windowMs;
         this.lastRefill = Date.now();
+
+        // Highest priority first
+        this.PRIORITIES = ['detail', 'hover', 'card', 'prefetch'];
+
+        this.queue = [];
+        this.timer = null;
+        this.stats = { granted: 0, cancelled: 0, totalWaitMs: 0, maxWaitMs: 0 };
+
+        // Requesters that joined a key before its request was queued (key -> Map(requester -> rank)).
+        // The first caller only reaches acquire() after some awaits; these move into its entry.
+        this.joined = new Map();
     }
 
-    async acquire() {
+    /**
+     * Wait for a request slot
+     * @param {string} priority - 'detail' | 'hover' | 'card' | 'prefetch'
+     * @param {Object} [options]
+     * @param {string} [options.key] - Joins an already queued request for the same key
+     * @param {string} [options.requestId] - Caller's ID for setPriority/cancel
+     * @returns {Promise<void>}
+     * @throws {Error} CANCELLED if every requester withdrew before a slot was granted
+     */
+    acquire(priority = 'card', { key = null, requestId = null } = {}) {
+        const requester = requestId || Symbol('request');
+
+        const queued = key && this.queue.find(e => e.key === key);
+        if (queued) {
+            queued.requesters.set(requester, this.rank(priority));
+            return queued.promise;
+        }
+
+        const entry = {
+            key,
+            requesters: new Map([[requester, this.rank(priority)], ...(this.joined.get(key) || [])]),
+            enqueuedAt: Date.now()
+        };
+        this.joined.delete(key);
+        entry.promise = new Promise((resolve, reject) => {
+            entry.resolve = resolve;
+            entry.reject = reject;
+        });
+
+        this.queue.push(entry);
+        this.drain();
+        return entry.promise;
+    }
+
+    /**
+     * Add a requester to the request for a key, whether or not it has been queued yet.
+     * Requesters without an ID can't cancel, so they keep the request alive.
+     */
+    join(key, requestId, priority) {
+        const requester = requestId || Symbol('request');
+        const entry = this.queue.find(e => e.key === key);
+        if (entry) {
+            entry.requesters.set(requester, this.rank(priority));
+            return;
+        }
+
+        if (!this.joined.has(key)) this.joined.set(key, new Map());
+        this.joined.get(key).set(requester, this.rank(priority));
+    }
+
+    /**
+     * Drop early joiners of a key whose request finished without queueing (no throttled provider)
+     */
+    forget(key) {
+        this.joined.delete(key);
+    }
+
+    setPriority(requestId, priority) {
+        const requesters = this.findByRequester(requestId)?.requesters ||
+            [...this.joined.values()].find(joined => joined.has(requestId));
+        if (!requesters) return false;
+        requesters.set(requestId, this.rank(priority));
+        return true;
+    }
+
+    /**
+     * Withdraw a requester; the request is dropped once nobody waits for it
+     */
+    cancel(requestId) {
+        for (const [key, requesters] of this.joined) {
+            if (!requesters.delete(requestId)) continue;
+            if (requesters.size === 0) this.joined.delete(key);
+            return true;
+        }
+
+        const entry = this.findByRequester(requestId);
+        if (!entry) return false;
+
+        entry.requesters.delete(requestId);
+        if (entry.requesters.size === 0) {
+            this.queue.splice(this.queue.indexOf(entry), 1);
+            this.stats.cancelled++;
+            entry.reject(new Error('CANCELLED'));
+        }
+        return true;
+    }
+
+    drain() {
         this.refillTokens();
 
-        if (this.tokens > 0) {
+        while (this.tokens > 0 && this.queue.length > 0) {
+            const entry = this.takeNext();
+            const waited = Date.now() - entry.enqueuedAt;
+
             this.tokens--;
-            return true;
+            this.stats.granted++;
+            this.stats.totalWaitMs += waited;
+            this.stats.maxWaitMs = Math.max(this.stats.maxWaitMs, waited);
+            entry.resolve();
+        }
+
+        if (this.queue.length > 0 && !this.timer) {
+            const waitTime = this.windowMs - (Date.now() - this.lastRefill);
+            this.timer = setTimeout(() => {
+                this.timer = null;
+                this.drain();
+            }, Math.max(waitTime, 50));
         }
+    }
 
-        const waitTime = this.windowMs - (Date.now() - this.lastRefill);
-        await new Promise(resolve => setTimeout(resolve, Math.max(waitTime, 100)));
-        return this.acquire();
+    takeNext() {
+        let best = 0;
+        for (let i = 1; i < this.queue.length; i++) {
+            const a = this.getRank(this.queue[i]);
+            const b = this.getRank(this.queue[best]);
+            if (a < b || (a === b && this.queue[i].enqueuedAt < this.queue[best].enqueuedAt)) best = i;
+        }
+        return this.queue.splice(best, 1)[0];
     }
 
     refillTokens() {
@@ -318,281 +755,1603 @@ class RateLimiter {
             this.lastRefill = now;
         }
     }
-}
-
-// ============================================================================
-// SINGLETON INSTANCES
-// ============================================================================
 
-const cacheManager = new CacheManager();
-const rateLimiter = new RateLimiter(10, 1000);
+    rank(priority) {
+        const index = this.PRIORITIES.indexOf(priority);
+        return index === -1 ? this.PRIORITIES.indexOf('card') : index;
+    }
 
-// ============================================================================
-// EXTENSION LIFECYCLE
-// ============================================================================
+    getRank(entry) {
+        return Math.min(...entry.requesters.values());
+    }
 
-chrome.runtime.onInstalled.addListener(() => {
-    console.log('[NetRot] Extension installed/updated.');
-});
+    findByRequester(requestId) {
+        return this.queue.find(entry => entry.requesters.has(requestId)) || null;
+    }
 
-// ============================================================================
-// MESSAGE HANDLER
-// ============================================================================
+    /**
+     * Queue depth per priority class and wait times (ms)
+     */
+    getStats() {
+        const byPriority = Object.fromEntries(this.PRIORITIES.map(p => [p, 0]));
+        this.queue.forEach(entry => byPriority[this.PRIORITIES[this.getRank(entry)]]++);
 
-chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-    if (request.type === 'FETCH_RATINGS' || request.type === 'FETCH_Ratings') {
-        handleFetchRatings(request, sendResponse);
-        return true;
-    }
-    // ... cache stats ...
-    if (request.type === 'GET_CACHE_STATS') {
-        handleGetCacheStats(sendResponse);
-        return true;
-    }
-    if (request.type === 'CLEAR_CACHE') {
-        handleClearCache(sendResponse);
-        return true;
+        const now = Date.now();
+        return {
+            queued: this.queue.length,
+            byPriority,
+            granted: this.stats.granted,
+            cancelled: this.stats.cancelled,
+            avgWaitMs: this.stats.granted ? Math.round(this.stats.totalWaitMs / this.stats.granted) : 0,
+            maxWaitMs: this.stats.maxWaitMs,
+            oldestWaitMs: this.queue.reduce((max, entry) => Math.max(max, now - entry.enqueuedAt), 0)
+        };
     }
-});
+}
 
 // ============================================================================
-// REQUEST HANDLERS
+// API KEY POOL
 // ============================================================================
 
+// Error strings OMDb returns in the `Error` field
+const OMDB_ERRORS = {
+    LIMIT_REACHED: 'Request limit reached!',
+    INVALID_KEY: 'Invalid API key!'
+};
+
+// Errors meaning no usable key is left (never cached as "not found")
+const API_KEY_ERRORS = ['NO_API_KEY', 'QUOTA_EXHAUSTED', 'INVALID_API_KEY'];
+
+// Codes sent to content scripts as `code` on failed FETCH_RATINGS responses; each has its own badge state
+const ERROR_CODES = [...API_KEY_ERRORS, 'NETWORK_ERROR', 'NOT_FOUND'];
+
 /**
- * Handle ratings fetch request with cache-first strategy
+ * @param {Error} error
+ * @returns {string} One of ERROR_CODES, or 'ERROR' for anything unexpected
  */
+function errorCode(error) {
+    return ERROR_CODES.includes(error?.message) ? error.message : 'ERROR';
+}
+
 /**
- * Handle ratings fetch request with cache-first strategy
+ * API Key Pool - Rotates between several OMDb keys
+ * Counts calls per key per UTC day and skips keys that hit their quota or were rejected.
  */
-async function handleFetchRatings(request, sendResponse) {
-    const { videoId, title, year, enrichExisting, checkFreshness } = request;
-
-    try {
-        const normalizedTitle = title ? cacheManager.normalizeTitle(title) : null;
-        const requestKey = cacheManager.getPrimaryKey(videoId, title, year);
+class ApiKeyPool {
+    constructor(defaultQuota = 1000) {
+        this.DEFAULT_QUOTA = defaultQuota;
+        this.keys = [];
+        this.dailyQuota = defaultQuota;
+        this.usage = { day: this.getDay(), keys: {} };
+        this.loading = null;
+
+        // Keys handed out since the worker started (one per OMDb request), for RefreshJob's allowance
+        this.sent = 0;
+    }
 
-        // Check for pending request (deduplication)
-        if (cacheManager.hasPendingRequest(requestKey)) {
-            log(`Deduplicating request for "${title || videoId}"`);
-            const result = await cacheManager.getPendingRequest(requestKey);
-            sendResponse(result);
-            return;
+    /**
+     * Load keys, quota and today's usage from storage (once per worker lifetime)
+     */
+    load() {
+        if (!this.loading) {
+            this.loading = chrome.storage.local.get(['omdbApiKeys', 'omdbApiKey', 'omdbDailyQuota', 'omdbKeyUsage'])
+                .then((stored) => {
+                    // Fall back to the single legacy key
+                    const keys = Array.isArray(stored.omdbApiKeys) && stored.omdbApiKeys.length > 0
+                        ? stored.omdbApiKeys
+                        : (stored.omdbApiKey ? [stored.omdbApiKey] : []);
+
+                    this.keys = [...new Set(keys.map(k => k.trim()).filter(Boolean))];
+                    this.dailyQuota = parseInt(stored.omdbDailyQuota, 10) || this.DEFAULT_QUOTA;
+                    if (stored.omdbKeyUsage?.day === this.getDay()) {
+                        this.usage = stored.omdbKeyUsage;
+                    }
+                });
         }
+        return this.loading;
+    }
 
-        // Check cache first
-        const cached = await cacheManager.get(videoId, title, year);
-
-        if (cached) {
-            const cachedData = cached.data;
-
-            // Check if we should enrich partial data (only applies if we have year now but didn't before)
-            // Or if we now have videoId but data doesn't?
-            const shouldEnrich = year &&
-                cachedData.completeness === 'partial' &&
-                cachedData.status === 'success';
+    /**
+     * Force a reload on next access (settings changed)
+     */
+    invalidate() {
+        this.loading = null;
+    }
 
-            // Freshness Check implementation:
-            // If checkFreshness is true, we want to trigger a re-fetch even if we have data.
-            // But we return the Cached data IMMEDIATELY to the UI so it doesn't wait (Stale-While-Revalidate).
-            // However, since we are inside a message handler, we can't easily return twice.
-            // So the strategy is:
-            // 1. If we have data, return it immediately (sendResponse).
-            // 2. Spawn a background fetch WITHOUT awaiting it for the response.
-            // 3. When background fetch completes, it updates storage. 
-            // 4. Storage change listener (in ratings-store) will pick up the change and update UI.
+    async hasKeys() {
+        await this.load();
+        return this.keys.length > 0;
+    }
 
-            if (!shouldEnrich && !enrichExisting) {
-                // Migrate: Ensure we link this videoId to the data if it was found via Title mapping
-                if (videoId && !cachedData.netflixId) {
-                    log(`Linking existing data for "${title}" to ID ${videoId}`);
-                    cachedData.netflixId = videoId;
-                    await cacheManager.set(videoId, title, year, cachedData);
-                }
+    /**
+     * Get a key with remaining quota and count one call against it
+     * @returns {Promise<string>} API key
+     * @throws {Error} NO_API_KEY, QUOTA_EXHAUSTED or INVALID_API_KEY
+     */
+    async acquire() {
+        await this.load();
+        this.rollover();
 
-                // Return valid cached data immediately
-                sendResponse({
-                    success: cachedData.status !== 'error' && cachedData.status !== 'not_found',
-                    data: cachedData,
-                    source: cached.source
-                });
+        if (this.keys.length === 0) throw new Error('NO_API_KEY');
 
-                // Trigger background refresh if requested
-                if (checkFreshness) {
-                    log(`[Freshness] Triggering background refresh for "${title}"...`);
-                    // We don't await this, we just let it run
-                    performFetch(videoId, title, year, normalizedTitle, cached, requestKey).catch(e => logError('Background refresh error', e));
-                }
+        for (const key of this.keys) {
+            const usage = this.getKeyUsage(key);
+            if (usage.invalid || usage.exhausted) continue;
 
-                return;
+            if (usage.count >= this.dailyQuota) {
+                usage.exhausted = true;
+                continue;
             }
-            // Proceed to enrich...
-        }
 
-        // ... Get API Key ...
-        const storage = await chrome.storage.local.get(['omdbApiKey']);
-        const apiKey = storage.omdbApiKey;
-
-        if (!apiKey) {
-            if (cached && cached.data && cached.data.status === 'success') {
-                sendResponse({ success: true, data: cached.data, source: cached.source });
-                return;
-            }
-            sendResponse({ success: false, error: 'NO_API_KEY' });
-            return;
+            usage.count++;
+            this.sent++;
+            await this.save();
+            return key;
         }
 
-        // ... Fetch Promise ...
-        const fetchPromise = performFetch(videoId, title, year, normalizedTitle, cached, requestKey, apiKey);
+        await this.save();
+        const allInvalid = this.keys.every(key => this.getKeyUsage(key).invalid);
+        throw new Error(allInvalid ? 'INVALID_API_KEY' : 'QUOTA_EXHAUSTED');
+    }
 
-        cacheManager.setPendingRequest(requestKey, fetchPromise);
-        sendResponse(await fetchPromise);
+    async markExhausted(key) {
+        log(`[Keys] Daily limit reached for key ${this.maskKey(key)}, rotating`);
+        this.getKeyUsage(key).exhausted = true;
+        await this.save();
+    }
 
-    } catch (error) {
-        logError('Background error:', error);
-        sendResponse({ success: false, error: error.message });
+    async markInvalid(key) {
+        log(`[Keys] Key ${this.maskKey(key)} rejected by OMDb, rotating`);
+        this.getKeyUsage(key).invalid = true;
+        await this.save();
+    }
+
+    /**
+     * Usage report for the popup (keys are masked)
+     */
+    async getReport() {
+        await this.load();
+        this.rollover();
+
+        return {
+            day: this.usage.day,
+            quota: this.dailyQuota,
+            keys: this.keys.map((key) => {
+                const usage = this.getKeyUsage(key);
+                let status = 'active';
+                if (usage.invalid) status = 'invalid';
+                else if (usage.exhausted || usage.count >= this.dailyQuota) status = 'exhausted';
+
+                return { key: this.maskKey(key), count: usage.count, status };
+            })
+        };
+    }
+
+    getKeyUsage(key) {
+        if (!this.usage.keys[key]) {
+            this.usage.keys[key] = { count: 0, exhausted: false, invalid: false };
+        }
+        return this.usage.keys[key];
+    }
+
+    /**
+     * Reset counters when the UTC day changes
+     */
+    rollover() {
+        const today = this.getDay();
+        if (this.usage.day !== today) {
+            log(`[Keys] New UTC day ${today}, resetting key usage`);
+            this.usage = { day: today, keys: {} };
+        }
+    }
+
+    getDay() {
+        return new Date().toISOString().substring(0, 10);
+    }
+
+    maskKey(key) {
+        return key.length > 4 ? `${key.substring(0, 4)}${'•'.repeat(4)}` : '••••';
+    }
+
+    async save() {
+        try {
+            await chrome.storage.local.set({ omdbKeyUsage: this.usage });
+        } catch (e) {
+            logError('Key usage write error:', e);
+        }
+    }
+}
+
+// ============================================================================
+// RATINGS PROVIDERS
+// ============================================================================
+
+/**
+ * A ratings provider adapts one upstream source to the unified ratings model.
+ * Providers are registered with the ProviderRegistry and queried in priority order.
+ *
+ * @typedef {Object} RatingsProvider
+ * @property {string} id - Stable identifier, used in the `providerOrder` setting
+ * @property {string} name - Display name
+ * @property {boolean} [local] - Answers from local data; local providers bypass the request scheduler
+ * @property {function(): Promise<boolean>} isAvailable - Whether the provider is configured (e.g. has an API key)
+ * @property {function(Object): Promise<Object[]>} search - Find OMDb-shaped candidates ({Title, Year, imdbID, Type})
+ *           for a {title, year} query
+ * @property {function(string): Promise<Object|null>} lookup - Fetch a raw record by the provider's own ID
+ * @property {function(Object, Object): Object} normalize - Convert a raw record to the unified ratings model
+ * @property {function(Object): Promise<Object|null>} [match] - Optional custom title resolution.
+ *           Defaults to search -> findBestMatch -> lookup.
+ * @property {function(string, number): Promise<Object|null>} [lookupSeason] - Optional per-episode ratings
+ *           for one season of a series, already normalized (see normalizeOmdbSeason).
+ *
+ * Providers return null when a title is not found and throw on transport/API errors.
+ */
+
+class ProviderRegistry {
+    constructor() {
+        this.providers = new Map();
+        this.order = [];
+    }
+
+    /**
+     * Register a provider. Later registrations with the same id replace earlier ones.
+     * @param {RatingsProvider} provider
+     */
+    register(provider) {
+        this.providers.set(provider.id, provider);
+    }
+
+    /**
+     * Set provider priority. Unknown ids are ignored; unlisted providers keep
+     * registration order after the listed ones.
+     * @param {string[]} ids - Provider ids, highest priority first
+     */
+    setOrder(ids) {
+        this.order = (ids || []).filter(id => this.providers.has(id));
+    }
+
+    getOrdered() {
+        const ordered = this.order.map(id => this.providers.get(id));
+        for (const provider of this.providers.values()) {
+            if (!ordered.includes(provider)) ordered.push(provider);
+        }
+        return ordered;
+    }
+
+    /**
+     * Whether any active provider makes network requests
+     */
+    async needsThrottling() {
+        return (await this.getActiveProviders()).some(provider => !provider.local);
+    }
+
+    async getActiveProviders() {
+        const active = [];
+        for (const provider of this.getOrdered()) {
+            try {
+                if (await provider.isAvailable()) active.push(provider);
+            } catch (e) {
+                logError(`Provider "${provider.id}" availability check failed:`, e);
+            }
+        }
+        return active;
+    }
+
+    /**
+     * Resolve a title against every active provider in priority order and merge the results.
+     * @param {Object} query - { title, year, typeHint, videoId, normalizedTitle }
+     * @returns {Promise<{data: Object|null, error: string|null}>}
+     */
+    async fetchRatings(query) {
+        return this.collect(query, (provider) => provider.match
+            ? provider.match(query)
+            : this.defaultMatch(provider, query));
+    }
+
+    /**
+     * Resolve a known IMDb ID (e.g. a user pin) against every active provider, skipping title matching
+     * @param {string} imdbId - IMDb title ID (tt...)
+     * @param {Object} query - { title, year, videoId, normalizedTitle }
+     * @returns {Promise<{data: Object|null, error: string|null}>}
+     */
+    async lookupRatings(imdbId, query) {
+        return this.collect(query, provider => provider.lookup(imdbId), 'pinned');
+    }
+
+    /**
+     * Search candidates across active providers (deduplicated by IMDb ID, priority order)
+     * @param {Object} query - { title, year }
+     * @returns {Promise<Object[]>} OMDb-shaped candidates ({Title, Year, imdbID, Type})
+     */
+    async searchCandidates(query) {
+        const providers = await this.getActiveProviders();
+        if (providers.length === 0) throw new Error('NO_API_KEY');
+
+        const seen = new Set();
+        const candidates = [];
+        let lastError = null;
+
+        for (const provider of providers) {
+            try {
+                for (const candidate of await provider.search(query)) {
+                    if (seen.has(candidate.imdbID)) continue;
+                    seen.add(candidate.imdbID);
+                    candidates.push(candidate);
+                }
+            } catch (e) {
+                logError(`Provider "${provider.id}" search failed:`, e);
+                lastError = e;
+            }
+        }
+
+        if (candidates.length === 0 && lastError) throw lastError;
+        return candidates;
+    }
+
+    /**
+     * Fetch one season's episode ratings from the first active provider that supports it
+     * @param {string} imdbId - Series IMDb ID
+     * @param {number} season - Season number
+     * @returns {Promise<Object|null>} Normalized season or null if no provider has it
+     */
+    async lookupSeason(imdbId, season) {
+        const providers = (await this.getActiveProviders()).filter(p => p.lookupSeason);
+        if (providers.length === 0) throw new Error('NO_API_KEY');
+
+        let lastError = null;
+        for (const provider of providers) {
+            try {
+                const result = await provider.lookupSeason(imdbId, season);
+                if (result) return result;
+            } catch (e) {
+                logError(`Provider "${provider.id}" season lookup failed:`, e);
+                lastError = e;
+            }
+        }
+
+        if (lastError) throw lastError;
+        return null;
+    }
+
+    /**
+     * Run a resolver against every active provider in priority order and merge the results.
+     * Once one provider has matched an IMDb ID, later ones look that ID up instead of matching
+     * the title again, so ratings of two different titles are never mixed.
+     * Stops early once all rating sources are filled.
+     * @param {Object} query - Original request, passed to normalize()
+     * @param {function(RatingsProvider): Promise<Object|null>} resolve - Returns a raw record or null
+     * @param {string|null} method - Match method to report; defaults to the raw record's `matchMethod`
+     * @returns {Promise<{data: Object|null, error: string|null}>}
+     * @throws {Error} NO_API_KEY if no provider is usable, or the last provider error if none succeeded
+     */
+    async collect(query, resolve, method = null) {
+        const providers = await this.getActiveProviders();
+        if (providers.length === 0) throw new Error('NO_API_KEY');
+
+        let merged = null;
+        let lastError = null;
+
+        for (const provider of providers) {
+            try {
+                const raw = merged?.imdbId ? await provider.lookup(merged.imdbId) : await resolve(provider);
+                if (!raw) {
+                    log(`[Providers] ${provider.id}: no match for "${query.title}"`);
+                    continue;
+                }
+
+                const normalized = provider.normalize(raw, query);
+                if (merged?.imdbId && normalized.imdbId && normalized.imdbId !== merged.imdbId) {
+                    log(`[Providers] ${provider.id}: returned ${normalized.imdbId}, expected ${merged.imdbId}; skipped`);
+                    continue;
+                }
+
+                normalized.sources = [provider.id];
+                // A user pin is certain; everything else is scored against what was scraped
+                normalized.match = matchInfo(method || raw.matchMethod || 'search', method === 'pinned' ? 1 : scoreCandidate(query, {
+                    Title: normalized.title,
+                    Year: normalized.year,
+                    Type: normalized.type
+                }));
+
+                // Higher-priority data wins; lower-priority providers only fill gaps
+                merged = merged ? mergeRatingsData(normalized, merged) : normalized;
+
+                if (hasAllRatings(merged)) break;
+            } catch (e) {
+                logError(`Provider "${provider.id}" failed:`, e);
+                lastError = e;
+            }
+        }
+
+        if (merged) return { data: merged, error: null };
+        if (lastError) throw lastError;
+        return { data: null, error: 'Movie not found' };
+    }
+
+    async defaultMatch(provider, query) {
+        const candidates = await provider.search(query);
+        if (!candidates?.length) return null;
+        const best = findBestMatch(query, candidates);
+        if (!best) return null;
+
+        const raw = await provider.lookup(best.imdbID);
+        if (raw) raw.matchMethod = 'search';
+        return raw;
+    }
+}
+
+/**
+ * OMDb provider - exact `t=` lookup with `s=` search fallback
+ */
+class OmdbProvider {
+    constructor() {
+        this.id = 'omdb';
+        this.name = 'OMDb';
+    }
+
+    async isAvailable() {
+        return offlineMode !== 'instead' && apiKeyPool.hasKeys();
+    }
+
+    async search({ title, year }) {
+        return searchOmdb(title, year);
+    }
+
+    async lookup(imdbId) {
+        const json = await lookupOmdbById(imdbId);
+        return json.Response === 'True' ? json : null;
+    }
+
+    async match({ title, year, typeHint }) {
+        const json = await fetchFromOmdb(title, year, typeHint);
+        return json && json.Response === 'True' ? json : null;
+    }
+
+    async lookupSeason(imdbId, season) {
+        const json = await omdbRequest({ i: imdbId, Season: season });
+        return json.Response === 'True' ? normalizeOmdbSeason(json) : null;
+    }
+
+    normalize(raw, { normalizedTitle, year }) {
+        return normalizeOmdbResponse(raw, normalizedTitle, year);
+    }
+}
+
+/**
+ * Offline provider - IMDb's public datasets imported into IndexedDB from the options page.
+ * Only has IMDb scores; Rotten Tomatoes and Metacritic stay empty unless OMDb fills them.
+ */
+class OfflineProvider {
+    constructor(db) {
+        this.id = 'offline';
+        this.name = 'IMDb datasets (offline)';
+        this.local = true;
+        this.db = db;
+
+        // Import status, read once: isAvailable runs for every lookup. The options page
+        // imports and clears the datasets and says so (OFFLINE_DATA_CHANGED -> invalidate)
+        this.ready = null;
+    }
+
+    async isAvailable() {
+        if (offlineMode === 'off') return false;
+        this.ready ??= await this.db.isReady();
+        return this.ready;
+    }
+
+    invalidate() {
+        this.ready = null;
+    }
+
+    async search({ title }) {
+        const records = await this.db.findByTitle(title);
+        return records.map(record => ({
+            Title: record.title,
+            Year: formatDatasetYear(record),
+            imdbID: record.tconst,
+            Type: record.type
+        }));
+    }
+
+    async lookup(imdbId) {
+        return this.db.getTitle(imdbId);
+    }
+
+    normalize(raw, { normalizedTitle, year }) {
+        return normalizeImdbDatasetRecord(raw, normalizedTitle, year);
+    }
+}
+
+/**
+ * Whether every rating source in a normalized record has a value
+ */
+function hasAllRatings(data) {
+    return !!(data.ratings?.imdb?.score &&
+        data.ratings?.rottenTomatoes?.score &&
+        data.ratings?.metacritic?.score);
+}
+
+// ============================================================================
+// TITLE PINS
+// ============================================================================
+
+/**
+ * Pin Store - User-corrected Netflix ID -> IMDb ID mappings
+ * Pins never expire and take precedence over title matching.
+ */
+class PinStore {
+    constructor() {
+        this.STORAGE_KEY = 'titlePins';
+    }
+
+    async getAll() {
+        const stored = await chrome.storage.local.get([this.STORAGE_KEY]);
+        return stored[this.STORAGE_KEY] || {};
+    }
+
+    /**
+     * @param {string} videoId - Netflix video ID
+     * @returns {Promise<{imdbId: string, title: string, matchedTitle: string, pinnedAt: number}|null>}
+     */
+    async get(videoId) {
+        if (!videoId) return null;
+        const pins = await this.getAll();
+        return pins[videoId] || null;
+    }
+
+    async set(videoId, pin) {
+        const pins = await this.getAll();
+        pins[videoId] = { ...pins[videoId], ...pin, pinnedAt: Date.now() };
+        await chrome.storage.local.set({ [this.STORAGE_KEY]: pins });
+        return pins[videoId];
+    }
+
+    async delete(videoId) {
+        const pins = await this.getAll();
+        delete pins[videoId];
+        await chrome.storage.local.set({ [this.STORAGE_KEY]: pins });
+    }
+}
+
+/**
+ * Check that a string looks like an IMDb title ID
+ */
+function isImdbId(value) {
+    return typeof value === 'string' && /^tt\d{5,}$/.test(value);
+}
+
+// ============================================================================
+// SELECTOR PROFILES
+// ============================================================================
+
+/**
+ * Selector Profiles - Per-site selectors and attach points for the content script
+ * (profiles/<site>.json). A profile loaded from the options page overrides the bundled one
+ * until a release ships a bundled profile with a higher version.
+ * Also keeps the latest selector health report per site for the popup.
+ */
+class SelectorProfiles {
+    constructor() {
+        this.SITES = {
+            netflix: { name: 'Netflix', file: 'profiles/netflix.json' },
+            prime: { name: 'Prime Video', file: 'profiles/prime-video.json' },
+            disney: { name: 'Disney+', file: 'profiles/disney-plus.json' },
+            max: { name: 'Max', file: 'profiles/max.json' }
+        };
+        this.OVERRIDES_KEY = 'selectorProfileOverrides';
+        this.HEALTH_KEY = 'selectorHealth';
+        this.POSITIONS = ['badge', 'before', 'after', 'append'];
+        this.bundled = new Map(); // site -> Promise<Object>
+    }
+
+    getBundled(site) {
+        const entry = this.SITES[site];
+        if (!entry) return Promise.reject(new Error(`Unknown site "${site}"`));
+
+        if (!this.bundled.has(site)) {
+            const promise = fetch(chrome.runtime.getURL(entry.file))
+                .then(response => response.json())
+                .catch((e) => {
+                    this.bundled.delete(site);
+                    throw e;
+                });
+            this.bundled.set(site, promise);
+        }
+        return this.bundled.get(site);
+    }
+
+    async getOverrides() {
+        const stored = await chrome.storage.local.get([this.OVERRIDES_KEY]);
+        return stored[this.OVERRIDES_KEY] || {};
+    }
+
+    /**
+     * Profile the content script should use
+     * @returns {Promise<{profile: Object, source: string}>} source: 'bundled' | 'override'
+     */
+    async get(site) {
+        const [bundled, overrides] = await Promise.all([this.getBundled(site), this.getOverrides()]);
+        const override = overrides[site];
+
+        if (override && override.version >= bundled.version) {
+            return { profile: override, source: 'override' };
+        }
+        return { profile: bundled, source: 'bundled' };
+    }
+
+    /**
+     * Store a user-supplied profile for its site (replaces an earlier override)
+     * @throws {Error} If the profile doesn't have the expected shape
+     */
+    async setOverride(profile) {
+        this.validate(profile);
+
+        const overrides = await this.getOverrides();
+        overrides[profile.site] = { ...profile, loadedAt: Date.now() };
+        await chrome.storage.local.set({ [this.OVERRIDES_KEY]: overrides });
+        await this.clearHealth(profile.site);
+        return overrides[profile.site];
+    }
+
+    async removeOverride(site) {
+        const overrides = await this.getOverrides();
+        delete overrides[site];
+        await chrome.storage.local.set({ [this.OVERRIDES_KEY]: overrides });
+        await this.clearHealth(site);
+    }
+
+    /**
+     * Shape check only: selectors can't be parsed without a DOM. The options page checks them
+     * before sending (findInvalidSelectors), and content scripts count one that still slips
+     * through as a miss (SiteAdapters.queryAll etc.)
+     */
+    validate(profile) {
+        if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+            throw new Error('Profile must be a JSON object');
+        }
+        if (!this.SITES[profile.site]) {
+            throw new Error(`Unknown site "${profile.site}" (expected one of ${Object.keys(this.SITES).join(', ')})`);
+        }
+        if (!Number.isInteger(profile.version) || profile.version < 1) {
+            throw new Error('Profile "version" must be a positive integer');
+        }
+
+        const isSelectorList = (value) => typeof value === 'string' ||
+            (Array.isArray(value) && value.length > 0 && value.every(item => typeof item === 'string'));
+        const isObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+        // Optional sections content scripts read as { name: selectors }
+        const isSelectorMap = value => value === undefined || (isObject(value) && Object.values(value).every(isSelectorList));
+
+        if (!isObject(profile.discovery) || !Object.values(profile.discovery).every(isSelectorList)) {
+            throw new Error('Profile "discovery" must map modes to selectors');
+        }
+        ['title', 'attach', 'checks'].forEach((section) => {
+            if (profile[section] !== undefined && !isObject(profile[section])) {
+                throw new Error(`Profile "${section}" must be an object`);
+            }
+        });
+        Object.entries(profile.title || {}).forEach(([type, rules]) => {
+            if (!Array.isArray(rules) || !rules.every(rule => isObject(rule) && isSelectorList(rule.selector))) {
+                throw new Error(`Profile "title.${type}" must be a list of { selector, attr } rules`);
+            }
+        });
+        Object.entries(profile.attach || {}).forEach(([type, rules]) => {
+            if (!Array.isArray(rules) || !rules.every(rule => isObject(rule) && this.POSITIONS.includes(rule.position) && isSelectorList(rule.selector))) {
+                throw new Error(`Profile "attach.${type}" must be a list of { position, selector } rules`);
+            }
+        });
+        if (profile.year !== undefined &&
+            (!Array.isArray(profile.year) || !profile.year.every(rule => isObject(rule) && isSelectorList(rule.selector)))) {
+            throw new Error('Profile "year" must be a list of { selector, exact } rules');
+        }
+        ['typeHint', 'episodes', 'player'].forEach((section) => {
+            if (!isSelectorMap(profile[section])) {
+                throw new Error(`Profile "${section}" must map names to selectors`);
+            }
+        });
+        Object.entries(profile.checks || {}).forEach(([name, check]) => {
+            if (!isObject(check) || typeof check.path !== 'string' || typeof check.expect !== 'string') {
+                throw new Error(`Profile check "${name}" must be { path, expect }`);
+            }
+            try {
+                new RegExp(check.path);
+            } catch (e) {
+                throw new Error(`Profile check "${name}" has an invalid path pattern`);
+            }
+        });
+    }
+
+    // =========================================================================
+    // HEALTH
+    // =========================================================================
+
+    async getHealth() {
+        const stored = await chrome.storage.local.get([this.HEALTH_KEY]);
+        return stored[this.HEALTH_KEY] || {};
+    }
+
+    /**
+     * Record a content script's report. Page results are kept per page type until the
+     * profile version changes.
+     * @param {Object} report - { site, version, source, page, broken, hits }
+     */
+    async reportHealth({ site, version, source, page, broken, hits }) {
+        if (!this.SITES[site]) return;
+
+        const health = await this.getHealth();
+        const previous = health[site]?.version === version && health[site]?.source === source ? health[site] : null;
+        const pages = { ...(previous?.pages || {}) };
+        if (page) pages[page] = { broken: !!broken, reportedAt: Date.now() };
+
+        health[site] = { version, source, hits: hits || {}, pages, reportedAt: Date.now() };
+        await chrome.storage.local.set({ [this.HEALTH_KEY]: health });
+    }
+
+    async clearHealth(site) {
+        const health = await this.getHealth();
+        delete health[site];
+        await chrome.storage.local.set({ [this.HEALTH_KEY]: health });
+    }
+}
+
+// ============================================================================
+// BACKGROUND REFRESH
+// ============================================================================
+
+/**
+ * Refresh Job - Re-fetches cached ratings shortly before they expire, so badges are
+ * already current when Netflix is opened. Spends at most `refreshDailyAllowance`
+ * fetches per UTC day (0 disables the job).
+ */
+class RefreshJob {
+    constructor(defaultAllowance = 100) {
+        this.defaultAllowance = defaultAllowance;
+        this.STORAGE_KEY = 'refreshUsage';
+        this.BATCH_SIZE = 20;       // Per alarm, so the allowance is spread over the day
+        this.REFRESH_WINDOW = 0.25; // Refresh in the last quarter of a record's TTL
+        this.running = false;
+    }
+
+    async run() {
+        if (this.running) return;
+        this.running = true;
+
+        try {
+            const stored = await chrome.storage.local.get(['refreshDailyAllowance', this.STORAGE_KEY]);
+            const allowance = stored.refreshDailyAllowance ?? this.defaultAllowance;
+            const usage = stored[this.STORAGE_KEY]?.day === this.getDay()
+                ? stored[this.STORAGE_KEY]
+                : { day: this.getDay(), count: 0 };
+
+            // The allowance counts OMDb requests; a title can take several (t=, s=, i=, seasons)
+            const budget = Math.min(allowance - usage.count, this.BATCH_SIZE);
+            if (budget <= 0) return;
+
+            if ((await providerRegistry.getActiveProviders()).length === 0) return;
+
+            const records = await cacheManager.getRefreshCandidates(this.REFRESH_WINDOW, budget);
+            if (records.length === 0) return;
+
+            log(`[Refresh] Refreshing ${records.length} titles (${usage.count}/${allowance} used today)`);
+
+            for (const record of records) {
+                if (usage.count >= allowance) break;
+
+                const videoId = record.netflixId || null;
+                const { title, year } = record.query;
+                const requestKey = cacheManager.getPrimaryKey(videoId, title, year);
+                if (cacheManager.hasPendingRequest(requestKey)) continue;
+
+                const normalizedTitle = title ? cacheManager.normalizeTitle(title) : null;
+                const cached = { data: record.data, source: 'storage' };
+                const fetchPromise = performFetch(videoId, title, year, normalizedTitle, cached, requestKey, record.data.type,
+                    { priority: 'prefetch' });
+                const sentBefore = apiKeyPool.sent;
+                cacheManager.setPendingRequest(requestKey, fetchPromise);
+                const result = await fetchPromise;
+
+                // performFetch falls back to the cached data on errors (refreshFailed); those aren't charged
+                if (result.refreshFailed) {
+                    // Out of keys: none of the remaining titles will get a request either
+                    if (API_KEY_ERRORS.includes(result.code)) {
+                        log(`[Refresh] Stopping: ${result.code}`);
+                        break;
+                    }
+                    continue;
+                }
+
+                // Requests from tabs running at the same time count too; that errs on the side of the quota
+                const sent = apiKeyPool.sent - sentBefore;
+                if (sent > 0) {
+                    usage.count += sent;
+                    await chrome.storage.local.set({ [this.STORAGE_KEY]: usage });
+                }
+            }
+        } finally {
+            this.running = false;
+        }
+    }
+
+    getDay() {
+        return new Date().toISOString().substring(0, 10);
+    }
+}
+
+// ============================================================================
+// SINGLETON INSTANCES
+// ============================================================================
+
+const cacheManager = new CacheManager();
+const requestScheduler = new RequestScheduler(10, 1000);
+const apiKeyPool = new ApiKeyPool(1000); // OMDb free tier: 1,000 calls/day
+const offlineDb = new OfflineRatingsDb();
+const providerRegistry = new ProviderRegistry();
+providerRegistry.register(new OmdbProvider());
+const offlineProvider = new OfflineProvider(offlineDb);
+providerRegistry.register(offlineProvider);
+const pinStore = new PinStore();
+const refreshJob = new RefreshJob(100);
+const selectorProfiles = new SelectorProfiles();
+
+/**
+ * Offline dataset mode: 'off' | 'before' (offline first, OMDb fills gaps) | 'instead' (no OMDb calls)
+ */
+let offlineMode = 'off';
+let providerOrder = [];
+
+/**
+ * Apply the `providerOrder` setting; in 'before' mode the offline provider always goes first
+ */
+function applyProviderOrder() {
+    const ids = offlineMode === 'before'
+        ? ['offline', ...providerOrder.filter(id => id !== 'offline')]
+        : providerOrder;
+    providerRegistry.setOrder(ids);
+}
+
+// Load provider priority and keep it in sync with settings
+chrome.storage.local.get(['providerOrder', 'offlineMode'], (result) => {
+    providerOrder = result.providerOrder || [];
+    offlineMode = result.offlineMode || 'off';
+    applyProviderOrder();
+});
+
+chrome.storage.onChanged.addListener((changes, namespace) => {
+    if (namespace === 'local' && (changes.providerOrder || changes.offlineMode)) {
+        if (changes.providerOrder) providerOrder = changes.providerOrder.newValue || [];
+        if (changes.offlineMode) offlineMode = changes.offlineMode.newValue || 'off';
+        applyProviderOrder();
+        log('Provider order:', providerRegistry.getOrdered().map(p => p.id).join(' > '), `(offline: ${offlineMode})`);
+    }
+    if (namespace === 'local' && (changes.omdbApiKeys || changes.omdbApiKey || changes.omdbDailyQuota)) {
+        apiKeyPool.invalidate();
+    }
+});
+
+// ============================================================================
+// PUSH UPDATES
+// ============================================================================
+
+// Content scripts listen to `chrome.storage.session` changes; the session area is
+// in-memory and reaches every Netflix tab even when no tab made the request
+// (e.g. alarm-driven refreshes after the service worker restarted).
+const RATINGS_UPDATE_KEY = 'ratingsUpdate';
+
+chrome.storage.session.setAccessLevel({ accessLevel: 'TRUSTED_AND_UNTRUSTED_CONTEXTS' })
+    .catch(e => logError('Session storage access error:', e));
+
+/**
+ * Publish a freshly fetched record to open tabs
+ */
+function publishRatings(videoId, title, year, data) {
+    const update = {
+        key: cacheManager.getPrimaryKey(videoId, title, year),
+        data,
+        publishedAt: Date.now()
+    };
+    chrome.storage.session.set({ [RATINGS_UPDATE_KEY]: update })
+        .catch(e => logError('Publish error:', e));
+}
+
+// ============================================================================
+// EXTENSION LIFECYCLE
+// ============================================================================
+
+chrome.runtime.onInstalled.addListener(() => {
+    console.log('[NetRot] Extension installed/updated.');
+});
+
+// Periodic cache maintenance (alarms survive service worker restarts)
+const MAINTENANCE_ALARM = 'netrot-cache-maintenance';
+
+chrome.alarms.get(MAINTENANCE_ALARM, (alarm) => {
+    if (!alarm) chrome.alarms.create(MAINTENANCE_ALARM, { delayInMinutes: 5, periodInMinutes: 6 * 60 });
+});
+
+// Hourly refresh of ratings that are about to expire
+const REFRESH_ALARM = 'netrot-refresh';
+
+chrome.alarms.get(REFRESH_ALARM, (alarm) => {
+    if (!alarm) chrome.alarms.create(REFRESH_ALARM, { delayInMinutes: 1, periodInMinutes: 60 });
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === MAINTENANCE_ALARM) {
+        runCacheMaintenance().catch(e => logError('Cache maintenance error:', e));
+    }
+    if (alarm.name === REFRESH_ALARM) {
+        refreshJob.run().catch(e => logError('Background refresh error:', e));
+    }
+});
+
+/**
+ * Compact the cache within the budget from settings (`cacheMaxEntries`, `cacheMaxMB`)
+ */
+async function runCacheMaintenance() {
+    const settings = await chrome.storage.local.get(['cacheMaxEntries', 'cacheMaxMB']);
+    return cacheManager.compact({
+        maxEntries: settings.cacheMaxEntries || cacheManager.BUDGET.MAX_ENTRIES,
+        maxBytes: settings.cacheMaxMB ? settings.cacheMaxMB * 1024 * 1024 : cacheManager.BUDGET.MAX_BYTES
+    });
+}
+
+// ============================================================================
+// MESSAGE HANDLER
+// ============================================================================
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    if (request.type === 'FETCH_RATINGS' || request.type === 'FETCH_Ratings') {
+        handleFetchRatings(request, sendResponse);
+        return true;
+    }
+    // ... cache stats ...
+    if (request.type === 'GET_CACHE_STATS') {
+        handleGetCacheStats(sendResponse);
+        return true;
+    }
+    if (request.type === 'CLEAR_CACHE') {
+        handleClearCache(sendResponse);
+        return true;
+    }
+    if (request.type === 'COMPACT_CACHE') {
+        handleCompactCache(sendResponse);
+        return true;
+    }
+    // ... scheduling ...
+    if (request.type === 'UPDATE_PRIORITY') {
+        sendResponse({ success: requestScheduler.setPriority(request.requestId, request.priority) });
+        return;
+    }
+    if (request.type === 'CANCEL_REQUEST') {
+        sendResponse({ success: requestScheduler.cancel(request.requestId) });
+        return;
+    }
+    if (request.type === 'GET_KEY_USAGE') {
+        handleGetKeyUsage(sendResponse);
+        return true;
+    }
+    if (request.type === 'FETCH_SEASON') {
+        handleFetchSeason(request, sendResponse);
+        return true;
+    }
+    // ... match correction ...
+    if (request.type === 'SEARCH_CANDIDATES') {
+        handleSearchCandidates(request, sendResponse);
+        return true;
+    }
+    if (request.type === 'PIN_MATCH') {
+        handlePinMatch(request, sendResponse);
+        return true;
+    }
+    if (request.type === 'GET_PINS') {
+        handleGetPins(sendResponse);
+        return true;
+    }
+    if (request.type === 'UPDATE_PIN') {
+        handleUpdatePin(request, sendResponse);
+        return true;
+    }
+    if (request.type === 'DELETE_PIN') {
+        handleDeletePin(request, sendResponse);
+        return true;
+    }
+    // ... selector profiles ...
+    if (request.type === 'GET_SELECTOR_PROFILE') {
+        handleGetSelectorProfile(request, sendResponse);
+        return true;
+    }
+    if (request.type === 'SET_SELECTOR_PROFILE') {
+        handleSetSelectorProfile(request, sendResponse);
+        return true;
+    }
+    if (request.type === 'RESET_SELECTOR_PROFILE') {
+        handleResetSelectorProfile(request, sendResponse);
+        return true;
+    }
+    if (request.type === 'REPORT_SELECTOR_HEALTH') {
+        selectorProfiles.reportHealth(request)
+            .then(() => sendResponse({ success: true }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+    }
+    if (request.type === 'GET_SELECTOR_STATUS') {
+        handleGetSelectorStatus(sendResponse);
+        return true;
+    }
+    if (request.type === 'OFFLINE_DATA_CHANGED') {
+        offlineProvider.invalidate();
+        sendResponse({ success: true });
+        return;
+    }
+    // ... badge actions ...
+    if (request.type === 'OPEN_SETTINGS') {
+        handleOpenSettings(sendResponse);
+        return true;
+    }
+});
+
+// ============================================================================
+// REQUEST HANDLERS
+// ============================================================================
+
+/**
+ * Handle ratings fetch request with cache-first strategy
+ */
+/**
+ * Handle ratings fetch request with cache-first strategy
+ */
+async function handleFetchRatings(request, sendResponse) {
+    const { videoId, title, year, typeHint, enrichExisting, checkFreshness, requestId, priority } = request;
+    const ticket = { requestId, priority };
+
+    try {
+        const normalizedTitle = title ? cacheManager.normalizeTitle(title) : null;
+        const requestKey = cacheManager.getPrimaryKey(videoId, title, year);
+
+        // Check for pending request (deduplication)
+        if (cacheManager.hasPendingRequest(requestKey)) {
+            log(`Deduplicating request for "${title || videoId}"`);
+            requestScheduler.join(requestKey, requestId, priority);
+            const result = await cacheManager.getPendingRequest(requestKey);
+            sendResponse(result);
+            return;
+        }
+
+        // A user pin beats any title match
+        const pin = await pinStore.get(videoId);
+
+        // Check cache first
+        let cached = await cacheManager.get(videoId, title, year);
+
+        if (pin && cached && cached.data.imdbId !== pin.imdbId) {
+            log(`Cached match for ${videoId} differs from pinned ${pin.imdbId}, refetching`);
+            cached = null;
+        }
+
+        if (cached) {
+            const cachedData = cached.data;
+
+            // Check if we should enrich partial data (only applies if we have year now but didn't before)
+            // Or if we now have videoId but data doesn't?
+            const shouldEnrich = year &&
+                cachedData.completeness === 'partial' &&
+                cachedData.status === 'success';
+
+            // Freshness Check implementation:
+            // If checkFreshness is true, we want to trigger a re-fetch even if we have data.
+            // But we return the Cached data IMMEDIATELY to the UI so it doesn't wait (Stale-While-Revalidate).
+            // However, since we are inside a message handler, we can't easily return twice.
+            // So the strategy is:
+            // 1. If we have data, return it immediately (sendResponse).
+            // 2. Spawn a background fetch WITHOUT awaiting it for the response.
+            // 3. When background fetch completes, it updates storage and publishes the record (publishRatings).
+            // 4. The session storage listener in ratings-store picks up the change and updates every open tab.
+
+            if (!shouldEnrich && !enrichExisting) {
+                // Migrate: Ensure we link this videoId to the data if it was found via Title mapping
+                if (videoId && !cachedData.netflixId) {
+                    log(`Linking existing data for "${title}" to ID ${videoId}`);
+                    cachedData.netflixId = videoId;
+                    await cacheManager.set(videoId, title, year, cachedData);
+                }
+
+                // Return valid cached data immediately
+                sendResponse({
+                    success: cachedData.status !== 'error' && cachedData.status !== 'not_found',
+                    data: cachedData,
+                    source: cached.source
+                });
+
+                // Trigger background refresh if requested
+                if (checkFreshness) {
+                    log(`[Freshness] Triggering background refresh for "${title}"...`);
+                    // We don't await this, we just let it run
+                    performFetch(videoId, title, year, normalizedTitle, cached, requestKey, typeHint,
+                        { requestId, priority: 'prefetch' }).catch(e => logError('Background refresh error', e));
+                }
+
+                return;
+            }
+            // Proceed to enrich...
+        }
+
+        // ... Check that at least one provider is configured ...
+        const providers = await providerRegistry.getActiveProviders();
+
+        if (providers.length === 0) {
+            if (cached && cached.data && cached.data.status === 'success') {
+                sendResponse({ success: true, data: cached.data, source: cached.source });
+                return;
+            }
+            sendResponse({ success: false, error: 'NO_API_KEY', code: 'NO_API_KEY' });
+            return;
+        }
+
+        // ... Fetch Promise ...
+        const fetchPromise = performFetch(videoId, title, year, normalizedTitle, cached, requestKey, typeHint, ticket);
+
+        cacheManager.setPendingRequest(requestKey, fetchPromise);
+        sendResponse(await fetchPromise);
+
+    } catch (error) {
+        logError('Background error:', error);
+        sendResponse({ success: false, error: error.message, code: errorCode(error) });
+    }
+}
+
+/**
+ * Core fetch logic extracted for reuse
+ * @param {{requestId: string, priority: string}} ticket - Scheduler priority class and the caller's request ID
+ * @returns {Promise<Object>} {success, data, source} or {success: false, error, code}. When the fetch fails but
+ *          good cached data exists, that is returned with `refreshFailed: true` and the failure's `code`.
+ */
+async function performFetch(videoId, title, year, normalizedTitle, cached, requestKey, typeHint = null, ticket = {}) {
+    try {
+        // Remote providers share the request budget; local ones are never throttled
+        if (await providerRegistry.needsThrottling()) {
+            await requestScheduler.acquire(ticket.priority, { key: requestKey, requestId: ticket.requestId });
+        }
+
+        const pin = await pinStore.get(videoId);
+        const query = { title, year, typeHint, videoId, normalizedTitle };
+        let result;
+
+        if (pin) {
+            log(`Using pinned match ${pin.imdbId} for ${videoId}`);
+            result = await providerRegistry.lookupRatings(pin.imdbId, query);
+        } else {
+            // Fetch from providers (they need a title, cannot search by netflix ID)
+            if (!title) {
+                throw new Error("Cannot fetch without title");
+            }
+            result = await providerRegistry.fetchRatings(query);
+        }
+
+        if (result.data) {
+            let normalizedData = result.data;
+
+            // Add netflixId
+            if (videoId) normalizedData.netflixId = videoId;
+
+            // Merge if needed (never mix ratings of two different titles)
+            if (cached && cached.data && cached.data.status === 'success' &&
+                (!cached.data.imdbId || cached.data.imdbId === normalizedData.imdbId)) {
+                normalizedData = mergeRatingsData(cached.data, normalizedData);
+            }
+
+            await cacheManager.set(videoId, title, year, normalizedData);
+            publishRatings(videoId, title, year, normalizedData);
+
+            return { success: true, data: normalizedData, source: 'api' };
+        } else {
+            // If API fails but we had cached data that was "stale", keep using it?
+            // Usually OMDb failure means not found or error.
+
+            if (cached && cached.data && cached.data.status === 'success') {
+                // If this was a refresh, we just failed to update, no big deal (RefreshJob still needs to know)
+                return { success: true, data: cached.data, source: cached.source, refreshFailed: true, code: 'NOT_FOUND' };
+            }
+
+            const errorData = {
+                status: 'not_found',
+                error: result.error || 'Movie not found',
+                imdbId: pin ? pin.imdbId : undefined,
+                normalizedTitle,
+                netflixId: videoId,
+                fetchedAt: Date.now()
+            };
+            await cacheManager.set(videoId, title, year, errorData);
+
+            return { success: false, error: result.error || 'Movie not found', code: 'NOT_FOUND' };
+        }
+    } catch (error) {
+        logError('API fetch error:', error);
+        if (cached && cached.data && cached.data.status === 'success') {
+            return { success: true, data: cached.data, source: cached.source, refreshFailed: true, code: errorCode(error) };
+        }
+        return { success: false, error: error.message, code: errorCode(error) };
+    } finally {
+        cacheManager.deletePendingRequest(requestKey);
+        requestScheduler.forget(requestKey);
+    }
+}
+
+/**
+ * Merge existing cached data with fresh API data
+ */
+function mergeRatingsData(existing, fresh) {
+    const getValidValue = (newVal, oldVal) => {
+        if (newVal && newVal !== 'N/A') return newVal;
+        if (oldVal && oldVal !== 'N/A') return oldVal;
+        return null;
+    };
+
+    return {
+        // Identity
+        imdbId: fresh.imdbId || existing.imdbId,
+        netflixId: fresh.netflixId || existing.netflixId,
+        title: fresh.title || existing.title,
+        normalizedTitle: fresh.normalizedTitle || existing.normalizedTitle,
+        year: fresh.year || existing.year,
+        type: fresh.type || existing.type,
+        match: fresh.match || existing.match,
+        seasons: fresh.seasons || existing.seasons,
+
+        // Ratings
+        ratings: {
+            imdb: {
+                score: getValidValue(fresh.ratings?.imdb?.score, existing.ratings?.imdb?.score),
+                votes: getValidValue(fresh.ratings?.imdb?.votes, existing.ratings?.imdb?.votes)
+            },
+            rottenTomatoes: {
+                score: getValidValue(fresh.ratings?.rottenTomatoes?.score, existing.ratings?.rottenTomatoes?.score),
+                url: getValidValue(fresh.ratings?.rottenTomatoes?.url, existing.ratings?.rottenTomatoes?.url)
+            },
+            metacritic: {
+                score: getValidValue(fresh.ratings?.metacritic?.score, existing.ratings?.metacritic?.score)
+            }
+        },
+
+        // Legacy fields
+        imdbRating: getValidValue(fresh.imdbRating, existing.imdbRating),
+        imdbVotes: getValidValue(fresh.imdbVotes, existing.imdbVotes),
+        metascore: getValidValue(fresh.metascore, existing.metascore),
+        Ratings: fresh.Ratings?.length > 0 ? fresh.Ratings : existing.Ratings,
+
+        // Details (field by field, so an offline record doesn't wipe what OMDb sent)
+        details: Object.fromEntries(Object.keys(OMDB_DETAIL_FIELDS).map(key =>
+            [key, getValidValue(fresh.details?.[key], existing.details?.[key])])),
+
+        // Metadata
+        sources: [...new Set([...(fresh.sources || []), ...(existing.sources || [])])],
+        status: 'success',
+        completeness: fresh.completeness === 'full' || existing.completeness === 'full' ? 'full' : 'partial',
+        fetchedAt: Date.now(),
+        enrichedAt: existing.fetchedAt ? Date.now() : undefined
+    };
+}
+
+/**
+ * Handle season (episode ratings) request for a series already in the cache.
+ * Seasons are stored on the series' master record under `seasons[n]`.
+ */
+async function handleFetchSeason(request, sendResponse) {
+    const { videoId, title, year } = request;
+    const season = parseInt(request.season, 10);
+
+    try {
+        if (!season) throw new Error('Invalid season');
+
+        const cached = await cacheManager.get(videoId, title, year);
+        const series = cached?.data;
+
+        if (!series || series.type !== 'series' || !series.imdbId) {
+            sendResponse({ success: false, error: 'NOT_A_SERIES' });
+            return;
+        }
+
+        const existing = series.seasons?.[season];
+        if (existing && (Date.now() - existing.fetchedAt) < cacheManager.TTL.SEASON) {
+            sendResponse({ success: true, season: existing, source: cached.source });
+            return;
+        }
+
+        const requestKey = `${series.imdbId}_season_${season}`;
+        if (cacheManager.hasPendingRequest(requestKey)) {
+            sendResponse(await cacheManager.getPendingRequest(requestKey));
+            return;
+        }
+
+        const fetchPromise = (async () => {
+            try {
+                if (await providerRegistry.needsThrottling()) await requestScheduler.acquire('detail');
+                const seasonData = await providerRegistry.lookupSeason(series.imdbId, season);
+
+                if (!seasonData) {
+                    return { success: false, error: 'Season not found' };
+                }
+
+                // Patch the record get() found: a title-only request (player page) reaches it through an alias
+                const saved = await cacheManager.patch(cached.key, data => ({
+                    seasons: { ...data.seasons, [season]: seasonData }
+                }));
+
+                if (saved) {
+                    log(`[Seasons] Cached season ${season} of "${series.title}" (${seasonData.episodes.length} episodes)`);
+                } else {
+                    logError(`[Seasons] Could not cache season ${season} of "${series.title}" (record ${cached.key})`);
+                }
+                return { success: true, season: seasonData, source: 'api' };
+            } catch (error) {
+                logError('Season fetch error:', error);
+                // Serve stale season data rather than nothing
+                if (existing) return { success: true, season: existing, source: cached.source };
+                return { success: false, error: error.message };
+            } finally {
+                cacheManager.deletePendingRequest(requestKey);
+            }
+        })();
+
+        cacheManager.setPendingRequest(requestKey, fetchPromise);
+        sendResponse(await fetchPromise);
+    } catch (error) {
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+/**
+ * Handle cache stats request
+ */
+async function handleGetCacheStats(sendResponse) {
+    try {
+        const stats = await cacheManager.getStats();
+        stats.scheduler = requestScheduler.getStats();
+        sendResponse({ success: true, stats });
+    } catch (error) {
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+/**
+ * Handle cache clear request
+ */
+async function handleClearCache(sendResponse) {
+    try {
+        const clearedCount = await cacheManager.clear();
+        sendResponse({ success: true, clearedCount });
+    } catch (error) {
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+/**
+ * Run cache maintenance now and report what was freed
+ */
+async function handleCompactCache(sendResponse) {
+    try {
+        const report = await runCacheMaintenance();
+        sendResponse({ success: true, report });
+    } catch (error) {
+        logError('Compact error:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+/**
+ * Handle API key usage request (popup)
+ */
+async function handleGetKeyUsage(sendResponse) {
+    try {
+        const usage = await apiKeyPool.getReport();
+        sendResponse({ success: true, usage });
+    } catch (error) {
+        sendResponse({ success: false, error: error.message });
     }
 }
 
 /**
- * Core fetch logic extracted for reuse
+ * Handle candidate search for the "Wrong match?" picker
+ * Searches without the year so a wrongly scraped year can't hide the right title.
  */
-async function performFetch(videoId, title, year, normalizedTitle, cached, requestKey, apiKey = null) {
+async function handleSearchCandidates(request, sendResponse) {
+    const { title, year } = request;
+
     try {
-        if (!apiKey) {
-            const storage = await chrome.storage.local.get(['omdbApiKey']);
-            apiKey = storage.omdbApiKey;
-            if (!apiKey) throw new Error("NO_API_KEY");
+        if (!title) throw new Error('Cannot search without title');
+
+        if (await providerRegistry.needsThrottling()) await requestScheduler.acquire('detail');
+        const results = await providerRegistry.searchCandidates({ title, year: null });
+        const targetYear = year ? parseInt(year.substring(0, 4), 10) : null;
+
+        const candidates = results.map(result => ({
+            imdbId: result.imdbID,
+            title: result.Title,
+            year: result.Year,
+            type: result.Type
+        }));
+
+        // Closest year first when we know it (sort is stable for the rest)
+        if (targetYear) {
+            const distance = c => Math.abs((parseInt(c.year, 10) || 0) - targetYear);
+            candidates.sort((a, b) => distance(a) - distance(b));
         }
 
-        // Rate limit
-        await rateLimiter.acquire();
-
-        // Fetch from API (OMDb needs title, cannot search by netflix ID)
-        if (!title) {
-            throw new Error("Cannot fetch without title");
-        }
+        sendResponse({ success: true, candidates });
+    } catch (error) {
+        sendResponse({ success: false, error: error.message });
+    }
+}
 
-        const apiData = await fetchFromOmdb(title, year, apiKey);
+/**
+ * Handle pinning a Netflix ID to an IMDb ID, then fetch the pinned title
+ */
+async function handlePinMatch(request, sendResponse) {
+    const { videoId, imdbId, title, year } = request;
 
-        if (apiData && apiData.Response === 'True') {
-            let normalizedData = normalizeOmdbResponse(apiData, normalizedTitle, year);
+    try {
+        if (!videoId) throw new Error('Cannot pin without a Netflix ID');
+        if (!isImdbId(imdbId)) throw new Error('Invalid IMDb ID');
 
-            // Add netflixId
-            if (videoId) normalizedData.netflixId = videoId;
+        const normalizedTitle = title ? cacheManager.normalizeTitle(title) : null;
 
-            // Merge if needed
-            if (cached && cached.data && cached.data.status === 'success') {
-                normalizedData = mergeRatingsData(cached.data, normalizedData);
-            }
+        // Reuse ratings already cached for this IMDb ID under another Netflix ID
+        const existing = await cacheManager.getByImdbId(imdbId);
+        let result;
+        if (existing) {
+            result = { data: { ...existing.data, normalizedTitle, match: matchInfo('pinned', 1) } };
+        } else {
+            if (await providerRegistry.needsThrottling()) await requestScheduler.acquire('detail');
+            result = await providerRegistry.lookupRatings(imdbId, { title, year, videoId, normalizedTitle });
+        }
 
-            await cacheManager.set(videoId, title, year, normalizedData);
+        if (!result.data) {
+            sendResponse({ success: false, error: result.error || 'Movie not found' });
+            return;
+        }
 
-            return { success: true, data: normalizedData, source: 'api' };
-        } else {
-            // If API fails but we had cached data that was "stale", keep using it?
-            // Usually OMDb failure means not found or error.
+        const data = result.data;
+        data.netflixId = videoId;
 
-            if (cached && cached.data && cached.data.status === 'success') {
-                // If this was a refresh, we just failed to update, no big deal.
-                return { success: true, data: cached.data, source: cached.source };
-            }
+        await pinStore.set(videoId, {
+            imdbId,
+            title: title || null,
+            matchedTitle: data.title || null,
+            matchedYear: data.year || null
+        });
+        await cacheManager.set(videoId, title, year, data);
+        publishRatings(videoId, title, year, data);
 
-            const errorData = {
-                status: 'not_found',
-                error: apiData?.Error || 'Movie not found',
-                normalizedTitle,
-                netflixId: videoId,
-                fetchedAt: Date.now()
-            };
-            await cacheManager.set(videoId, title, year, errorData);
+        log(`Pinned ${videoId} -> ${imdbId} ("${data.title}")`);
+        sendResponse({ success: true, data, source: 'api' });
+    } catch (error) {
+        logError('Pin error:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
 
-            return { success: false, error: apiData?.Error || 'Movie not found' };
-        }
+/**
+ * Handle pin list request (popup)
+ */
+async function handleGetPins(sendResponse) {
+    try {
+        const pins = await pinStore.getAll();
+        sendResponse({
+            success: true,
+            pins: Object.entries(pins)
+                .map(([videoId, pin]) => ({ videoId, ...pin }))
+                .sort((a, b) => (b.pinnedAt || 0) - (a.pinnedAt || 0))
+        });
     } catch (error) {
-        logError('API fetch error:', error);
-        if (cached && cached.data && cached.data.status === 'success') {
-            return { success: true, data: cached.data, source: cached.source };
-        }
-        return { success: false, error: error.message };
-    } finally {
-        cacheManager.deletePendingRequest(requestKey);
+        sendResponse({ success: false, error: error.message });
     }
 }
 
 /**
- * Merge existing cached data with fresh API data
+ * Handle pin edit (popup). The cached record no longer matches the pin,
+ * so the next fetch for this title resolves the new IMDb ID.
  */
-function mergeRatingsData(existing, fresh) {
-    const getValidValue = (newVal, oldVal) => {
-        if (newVal && newVal !== 'N/A') return newVal;
-        if (oldVal && oldVal !== 'N/A') return oldVal;
-        return null;
-    };
+async function handleUpdatePin(request, sendResponse) {
+    const { videoId, imdbId } = request;
 
-    return {
-        // Identity
-        imdbId: fresh.imdbId || existing.imdbId,
-        netflixId: fresh.netflixId || existing.netflixId,
-        title: fresh.title || existing.title,
-        normalizedTitle: fresh.normalizedTitle || existing.normalizedTitle,
-        year: fresh.year || existing.year,
+    try {
+        if (!isImdbId(imdbId)) throw new Error('Invalid IMDb ID');
 
-        // Ratings
-        ratings: {
-            imdb: {
-                score: getValidValue(fresh.ratings?.imdb?.score, existing.ratings?.imdb?.score),
-                votes: getValidValue(fresh.ratings?.imdb?.votes, existing.ratings?.imdb?.votes)
-            },
-            rottenTomatoes: {
-                score: getValidValue(fresh.ratings?.rottenTomatoes?.score, existing.ratings?.rottenTomatoes?.score)
-            },
-            metacritic: {
-                score: getValidValue(fresh.ratings?.metacritic?.score, existing.ratings?.metacritic?.score)
-            }
-        },
+        const pin = await pinStore.get(videoId);
+        if (!pin) throw new Error('Pin not found');
 
-        // Legacy fields
-        imdbRating: getValidValue(fresh.imdbRating, existing.imdbRating),
-        imdbVotes: getValidValue(fresh.imdbVotes, existing.imdbVotes),
-        metascore: getValidValue(fresh.metascore, existing.metascore),
-        Ratings: fresh.Ratings?.length > 0 ? fresh.Ratings : existing.Ratings,
+        if (pin.imdbId !== imdbId) {
+            await pinStore.set(videoId, { imdbId, matchedTitle: null, matchedYear: null });
+        }
+        sendResponse({ success: true });
+    } catch (error) {
+        sendResponse({ success: false, error: error.message });
+    }
+}
 
-        // Metadata
-        status: 'success',
-        completeness: fresh.completeness === 'full' || existing.completeness === 'full' ? 'full' : 'partial',
-        fetchedAt: Date.now(),
-        enrichedAt: existing.fetchedAt ? Date.now() : undefined
-    };
+/**
+ * Handle pin removal (popup). Drops the pinned record so title matching runs again.
+ */
+async function handleDeletePin(request, sendResponse) {
+    try {
+        await pinStore.delete(request.videoId);
+        await cacheManager.remove(request.videoId);
+        sendResponse({ success: true });
+    } catch (error) {
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+async function handleGetSelectorProfile(request, sendResponse) {
+    try {
+        const { profile, source } = await selectorProfiles.get(request.site);
+        sendResponse({ success: true, profile, source });
+    } catch (error) {
+        logError('Failed to load selector profile:', error);
+        sendResponse({ success: false, error: error.message });
+    }
 }
 
 /**
- * Handle cache stats request
+ * Handle a profile loaded in the options page. Open tabs pick it up when reloaded.
  */
-async function handleGetCacheStats(sendResponse) {
+async function handleSetSelectorProfile(request, sendResponse) {
     try {
-        const stats = await cacheManager.getStats();
-        sendResponse({ success: true, stats });
+        const profile = await selectorProfiles.setOverride(request.profile);
+        const { source } = await selectorProfiles.get(profile.site);
+        sendResponse({ success: true, site: profile.site, version: profile.version, active: source === 'override' });
+    } catch (error) {
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+async function handleResetSelectorProfile(request, sendResponse) {
+    try {
+        await selectorProfiles.removeOverride(request.site);
+        sendResponse({ success: true });
     } catch (error) {
         sendResponse({ success: false, error: error.message });
     }
 }
 
 /**
- * Handle cache clear request
+ * Handle selector status request (popup warning, options page)
+ * @returns {Object} sites: [{site, name, bundledVersion, overrideVersion, source, version, health}]
  */
-async function handleClearCache(sendResponse) {
+async function handleGetSelectorStatus(sendResponse) {
     try {
-        const allItems = await chrome.storage.local.get(null);
-        const keysToRemove = Object.keys(allItems)
-            .filter(key => key.startsWith('rating_'));
-        await chrome.storage.local.remove(keysToRemove);
+        const [overrides, health] = await Promise.all([selectorProfiles.getOverrides(), selectorProfiles.getHealth()]);
+
+        const sites = await Promise.all(Object.entries(selectorProfiles.SITES).map(async ([site, { name }]) => {
+            const [bundled, active] = await Promise.all([selectorProfiles.getBundled(site), selectorProfiles.get(site)]);
+            return {
+                site,
+                name,
+                bundledVersion: bundled.version,
+                overrideVersion: overrides[site]?.version ?? null,
+                source: active.source,
+                version: active.profile.version,
+                health: health[site] || null
+            };
+        }));
 
-        // Clear memory cache too
-        cacheManager.memoryCache.clear();
-        cacheManager.pendingRequests.clear();
+        sendResponse({ success: true, sites });
+    } catch (error) {
+        sendResponse({ success: false, error: error.message });
+    }
+}
 
-        sendResponse({ success: true, clearedCount: keysToRemove.length });
+/**
+ * Handle a click on a key/quota badge: open the settings (the toolbar popup where
+ * chrome.action.openPopup is available, otherwise the same page in a tab)
+ */
+async function handleOpenSettings(sendResponse) {
+    try {
+        try {
+            await chrome.action.openPopup();
+        } catch (e) {
+            await chrome.tabs.create({ url: chrome.runtime.getURL('popup/popup.html') });
+        }
+        sendResponse({ success: true });
     } catch (error) {
         sendResponse({ success: false, error: error.message });
     }
@@ -602,37 +2361,95 @@ async function handleClearCache(sendResponse) {
 // API FUNCTIONS
 // ============================================================================
 
+/**
+ * Perform one OMDb request using the key pool.
+ * Rotates to the next key when OMDb reports the daily limit or rejects the key.
+ * @param {Object} params - Query parameters (without apikey)
+ * @returns {Promise<Object>} Parsed OMDb JSON
+ * @throws {Error} NO_API_KEY / QUOTA_EXHAUSTED / INVALID_API_KEY when no usable key remains,
+ *         NETWORK_ERROR when OMDb can't be reached or answers with an HTTP error
+ */
+async function omdbRequest(params) {
+    for (; ;) {
+        const apiKey = await apiKeyPool.acquire();
+        const url = `https://www.omdbapi.com/?${new URLSearchParams({ ...params, apikey: apiKey })}`;
+
+        log(`[API] Request:`, params);
+        let res;
+        try {
+            res = await fetch(url);
+        } catch (e) {
+            logError('[API] Request failed:', e);
+            throw new Error('NETWORK_ERROR');
+        }
+
+        let json = null;
+        try {
+            json = await res.json();
+        } catch (e) {
+            // Non-JSON body, handled by status check below
+        }
+
+        if (json?.Error === OMDB_ERRORS.LIMIT_REACHED) {
+            await apiKeyPool.markExhausted(apiKey);
+            continue;
+        }
+        if (json?.Error === OMDB_ERRORS.INVALID_KEY || res.status === 401) {
+            await apiKeyPool.markInvalid(apiKey);
+            continue;
+        }
+        if (!res.ok || !json) {
+            logError(`[API] HTTP ${res.status}`);
+            throw new Error('NETWORK_ERROR');
+        }
+
+        return json;
+    }
+}
+
 /**
  * Fetch data from OMDb API with fallback search
+ * The returned record carries `matchMethod` ('exact' | 'search') for the match report.
  */
-async function fetchFromOmdb(title, year, apiKey) {
+async function fetchFromOmdb(title, year, typeHint = null) {
+    const query = { title, year, typeHint };
+
     // Step 1: Try exact match first
-    let url = `https://www.omdbapi.com/?t=${encodeURIComponent(title)}&apikey=${apiKey}&tomatoes=true`;
+    const params = { t: title, tomatoes: 'true' };
 
     if (year) {
-        const y = year.substring(0, 4);
-        url += `&y=${y}`;
+        params.y = year.substring(0, 4);
+    }
+    if (typeHint) {
+        params.type = typeHint;
     }
 
     try {
-        log(`[API] Fetching exact match: ${url.replace(apiKey, 'HIDDEN_KEY')}`);
-        const res = await fetch(url);
-
-        if (!res.ok) {
-            throw new Error(`HTTP ${res.status}`);
-        }
-
-        const json = await res.json();
+        log(`[API] Fetching exact match for "${title}"`);
+        const json = await omdbRequest(params);
         log(`[API] Response:`, json);
 
-        // If exact match found, return it
+        // If a confident exact match was found, return it
         if (json.Response === 'True') {
+            json.matchMethod = 'exact';
+
+            const confidence = scoreCandidate(query, json);
+            if (confidence >= MATCH_CONFIDENCE.MIN) {
+                return json;
+            }
+
+            // `t=` returned something unlike what we scraped - see if search does better
+            log(`[API] Exact match "${json.Title}" scored ${confidence.toFixed(2)}, trying search fallback...`);
+            const fallback = await searchOmdbFallback(title, year, typeHint);
+            if (fallback.Response === 'True' && scoreCandidate(query, fallback) > confidence) {
+                return fallback;
+            }
             return json;
         }
 
         // Step 2: Exact match failed - try fuzzy search
         log(`[API] Exact match failed for "${title}", trying search fallback...`);
-        return await searchOmdbFallback(title, year, apiKey);
+        return await searchOmdbFallback(title, year, typeHint);
 
     } catch (e) {
         logError('OMDb fetch failed:', e);
@@ -644,7 +2461,7 @@ async function fetchFromOmdb(title, year, apiKey) {
  * Fallback search when exact match fails
  * Uses OMDb search API to find candidates, then fetches best match
  */
-async function searchOmdbFallback(title, year, apiKey) {
+async function searchOmdbFallback(title, year, typeHint = null) {
     try {
         // Clean title for search - remove some common suffixes
         const searchTitle = title
@@ -653,22 +2470,15 @@ async function searchOmdbFallback(title, year, apiKey) {
             .replace(/\s*:\s*Season\s*\d+/i, '')
             .trim();
 
-        let searchUrl = `https://www.omdbapi.com/?s=${encodeURIComponent(searchTitle)}&apikey=${apiKey}`;
-        if (year) {
-            searchUrl += `&y=${year.substring(0, 4)}`;
-        }
-
-        log(`[API] Search fallback: ${searchUrl.replace(apiKey, 'HIDDEN_KEY')}`);
-        const searchRes = await fetch(searchUrl);
-        const searchJson = await searchRes.json();
+        const results = await searchOmdb(searchTitle, year);
 
-        if (searchJson.Response !== 'True' || !searchJson.Search?.length) {
+        if (!results.length) {
             log(`[API] Search returned no results`);
             return { Response: 'False', Error: 'Movie not found' };
         }
 
         // Find best match from search results
-        const bestMatch = findBestMatch(title, searchJson.Search);
+        const bestMatch = findBestMatch({ title, year, typeHint }, results);
 
         if (!bestMatch) {
             return { Response: 'False', Error: 'No suitable match found' };
@@ -677,65 +2487,76 @@ async function searchOmdbFallback(title, year, apiKey) {
         log(`[API] Best match found: "${bestMatch.Title}" (${bestMatch.imdbID})`);
 
         // Step 3: Fetch full details for best match using IMDb ID
-        const detailUrl = `https://www.omdbapi.com/?i=${bestMatch.imdbID}&apikey=${apiKey}&tomatoes=true`;
-        log(`[API] Fetching details: ${detailUrl.replace(apiKey, 'HIDDEN_KEY')}`);
-
-        const detailRes = await fetch(detailUrl);
-        return await detailRes.json();
+        const details = await lookupOmdbById(bestMatch.imdbID);
+        if (details.Response === 'True') {
+            details.matchMethod = 'search';
+        }
+        return details;
 
     } catch (e) {
+        // Key and network problems must reach the caller, otherwise they get cached as "not found"
+        if (API_KEY_ERRORS.includes(e.message) || e.message === 'NETWORK_ERROR') throw e;
         logError('Search fallback error:', e);
         return { Response: 'False', Error: e.message };
     }
 }
 
 /**
- * Find best match from search results using simple similarity scoring
+ * Run an OMDb `s=` search
+ * @returns {Promise<Object[]>} Raw search results (empty if none)
+ */
+async function searchOmdb(title, year) {
+    const params = { s: title };
+    if (year) {
+        params.y = year.substring(0, 4);
+    }
+
+    log(`[API] Search for "${title}"`);
+    const searchJson = await omdbRequest(params);
+
+    if (searchJson.Response !== 'True' || !searchJson.Search?.length) {
+        return [];
+    }
+    return searchJson.Search;
+}
+
+/**
+ * Fetch full OMDb details by IMDb ID
+ */
+async function lookupOmdbById(imdbId) {
+    log(`[API] Fetching details for ${imdbId}`);
+    return omdbRequest({ i: imdbId, tomatoes: 'true' });
+}
+
+// Match confidence thresholds (0..1)
+const MATCH_CONFIDENCE = {
+    MIN: 0.45,  // Below this a candidate is rejected
+    LOW: 0.65   // Below this a match is shown as uncertain
+};
+
+/**
+ * Match info stored with ratings; content scripts flag `uncertain` matches
+ * @returns {{method: string, confidence: number, uncertain: boolean}}
  */
-function findBestMatch(originalTitle, searchResults) {
-    const normalizedOriginal = originalTitle.toLowerCase().trim();
+function matchInfo(method, confidence) {
+    return { method, confidence, uncertain: confidence < MATCH_CONFIDENCE.LOW };
+}
 
+/**
+ * Find best match from search results
+ * @param {Object} query - { title, year, typeHint }
+ * @param {Object[]} searchResults - OMDb-shaped candidates
+ * @returns {Object|null} Best candidate, or null if nothing reaches MATCH_CONFIDENCE.MIN
+ */
+function findBestMatch(query, searchResults) {
     let bestMatch = null;
     let bestScore = 0;
 
     for (const result of searchResults) {
-        const resultTitle = result.Title.toLowerCase().trim();
-
-        // Calculate similarity score
-        let score = 0;
-
-        // Exact match (case-insensitive)
-        if (resultTitle === normalizedOriginal) {
-            score = 100;
-        }
-        // Starts with original title
-        else if (resultTitle.startsWith(normalizedOriginal)) {
-            score = 80;
-        }
-        // Original starts with result (result is shorter)
-        else if (normalizedOriginal.startsWith(resultTitle)) {
-            score = 70;
-        }
-        // Contains original title
-        else if (resultTitle.includes(normalizedOriginal)) {
-            score = 60;
-        }
-        // Original contains result title
-        else if (normalizedOriginal.includes(resultTitle)) {
-            score = 50;
-        }
-        // Partial word match
-        else {
-            const originalWords = normalizedOriginal.split(/\s+/);
-            const resultWords = resultTitle.split(/\s+/);
-            const matchingWords = originalWords.filter(w => resultWords.includes(w));
-            score = (matchingWords.length / originalWords.length) * 40;
-        }
+        if (result.Type === 'game') continue;
 
-        // Prefer movies over series if scores are close
-        if (result.Type === 'movie' && score > 0) {
-            score += 5;
-        }
+        const score = scoreCandidate(query, result);
+        log(`[Match] "${result.Title}" (${result.Year}, ${result.Type}) -> ${score.toFixed(2)}`);
 
         if (score > bestScore) {
             bestScore = score;
@@ -743,8 +2564,111 @@ function findBestMatch(originalTitle, searchResults) {
         }
     }
 
-    // Only return if we have a reasonable match (score >= 40)
-    return bestScore >= 40 ? bestMatch : null;
+    return bestScore >= MATCH_CONFIDENCE.MIN ? bestMatch : null;
+}
+
+/**
+ * Score how well a candidate matches what was scraped from Netflix.
+ * Weighted blend of title similarity, year proximity and movie/series type;
+ * components we have no information for are left out of the blend.
+ * @param {Object} query - { title, year, typeHint }
+ * @param {Object} candidate - OMDb-shaped record ({Title, Year, Type})
+ * @returns {number} Confidence between 0 and 1
+ */
+function scoreCandidate(query, candidate) {
+    const components = [
+        { weight: 0.6, score: titleSimilarity(query.title, candidate.Title) },
+        { weight: 0.25, score: yearProximity(query.year, candidate.Year) },
+        { weight: 0.15, score: typeAgreement(query.typeHint, candidate.Type) }
+    ].filter(c => c.score !== null);
+
+    const totalWeight = components.reduce((sum, c) => sum + c.weight, 0);
+    return components.reduce((sum, c) => sum + c.weight * c.score, 0) / totalWeight;
+}
+
+/**
+ * Title similarity: mean of token-set (Jaccard) similarity and normalized edit distance
+ */
+function titleSimilarity(a, b) {
+    const tokensA = tokenizeTitle(a || '');
+    const tokensB = tokenizeTitle(b || '');
+    if (!tokensA.length || !tokensB.length) return 0;
+
+    const setA = new Set(tokensA);
+    const setB = new Set(tokensB);
+    const intersection = [...setA].filter(t => setB.has(t)).length;
+    const tokenScore = intersection / new Set([...setA, ...setB]).size;
+
+    const joinedA = tokensA.join(' ');
+    const joinedB = tokensB.join(' ');
+    const editScore = 1 - levenshtein(joinedA, joinedB) / Math.max(joinedA.length, joinedB.length);
+
+    return (tokenScore + editScore) / 2;
+}
+
+/**
+ * Lowercase, strip accents and punctuation, split into words
+ */
+function tokenizeTitle(title) {
+    return title
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/&/g, ' and ')
+        .replace(/[^a-z0-9\s]/g, ' ')
+        .split(/\s+/)
+        .filter(Boolean);
+}
+
+/**
+ * Levenshtein edit distance (two-row DP)
+ */
+function levenshtein(a, b) {
+    if (a === b) return 0;
+    if (!a.length) return b.length;
+    if (!b.length) return a.length;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * Year proximity. OMDb series years are ranges ("2016–2022", "2019–"),
+ * and Netflix often shows the latest season's year, so any year inside the range is exact.
+ * @returns {number|null} null when either side has no year
+ */
+function yearProximity(queryYear, candidateYear) {
+    const target = parseInt(String(queryYear || '').substring(0, 4), 10);
+    const range = String(candidateYear || '').match(/(\d{4})(?:\s*[–-]\s*(\d{4})?)?/);
+    if (!target || !range) return null;
+
+    const start = parseInt(range[1], 10);
+    // "2019–" is still running; a lone "2019" is a single year
+    const end = range[2] ? parseInt(range[2], 10) : (/[–-]\s*$/.test(candidateYear) ? Infinity : start);
+
+    const distance = target < start ? start - target : (target > end ? target - end : 0);
+    if (distance === 0) return 1;
+    if (distance === 1) return 0.75;
+    if (distance === 2) return 0.4;
+    return 0;
+}
+
+/**
+ * Movie/series agreement between the Netflix DOM hint and the candidate type
+ * @returns {number|null} null when there is no hint
+ */
+function typeAgreement(typeHint, candidateType) {
+    if (!typeHint || !candidateType) return null;
+    if (candidateType === 'episode') return typeHint === 'series' ? 0.3 : 0;
+    return typeHint === candidateType ? 1 : 0;
 }
 
 /**
@@ -761,6 +2685,7 @@ function normalizeOmdbResponse(data, normalizedTitle, year) {
         title: data.Title,
         normalizedTitle: normalizedTitle,
         year: data.Year,
+        type: data.Type,
 
         // Ratings (normalized structure)
         ratings: {
@@ -769,7 +2694,9 @@ function normalizeOmdbResponse(data, normalizedTitle, year) {
                 votes: data.imdbVotes !== 'N/A' ? data.imdbVotes : null
             },
             rottenTomatoes: {
-                score: rtRating?.Value || null
+                score: rtRating?.Value || null,
+                // Title page from the tomatoes=true output, when OMDb knows it
+                url: /^https?:\/\/(www\.)?rottentomatoes\.com\//.test(data.tomatoURL) ? data.tomatoURL : null
             },
             metacritic: {
                 score: data.Metascore !== 'N/A' ? data.Metascore : null
@@ -782,6 +2709,67 @@ function normalizeOmdbResponse(data, normalizedTitle, year) {
         metascore: data.Metascore !== 'N/A' ? data.Metascore : null,
         Ratings: data.Ratings || [],
 
+        // Title details for the detail view (see Components.buildTitleDetails)
+        details: normalizeOmdbDetails(data),
+
+        // Metadata
+        status: 'success',
+        completeness: year ? 'full' : 'partial',
+        fetchedAt: Date.now()
+    };
+}
+
+// OMDb fields kept in `details` (normalized key -> OMDb key)
+const OMDB_DETAIL_FIELDS = {
+    rated: 'Rated',
+    runtime: 'Runtime',
+    genre: 'Genre',
+    director: 'Director',
+    actors: 'Actors',
+    awards: 'Awards',
+    boxOffice: 'BoxOffice',
+    plot: 'Plot',
+    poster: 'Poster'
+};
+
+/**
+ * @returns {Object} OMDB_DETAIL_FIELDS keys; null where OMDb has "N/A"
+ */
+function normalizeOmdbDetails(data) {
+    const details = {};
+    for (const [key, field] of Object.entries(OMDB_DETAIL_FIELDS)) {
+        const value = data[field];
+        details[key] = value && value !== 'N/A' ? value : null;
+    }
+    return details;
+}
+
+/**
+ * Normalize an offline IMDb dataset record (see OfflineRatingsDb.getTitle) to the unified data model
+ */
+function normalizeImdbDatasetRecord(record, normalizedTitle, year) {
+    const votes = record.votes ? record.votes.toLocaleString('en-US') : null; // OMDb style: "1,234"
+
+    return {
+        // Identity
+        imdbId: record.tconst,
+        title: record.title,
+        normalizedTitle: normalizedTitle,
+        year: formatDatasetYear(record),
+        type: record.type,
+
+        ratings: {
+            imdb: { score: record.rating, votes },
+            rottenTomatoes: { score: null },
+            metacritic: { score: null }
+        },
+
+        // Legacy fields for backward compatibility
+        imdbRating: record.rating || 'N/A',
+        imdbVotes: votes || 'N/A',
+        metascore: null,
+        Ratings: [],
+
         // Metadata
         status: 'success',
         completeness: year ? 'full' : 'partial',
@@ -789,6 +2777,41 @@ function normalizeOmdbResponse(data, normalizedTitle, year) {
     };
 }
 
+/**
+ * Dataset years in OMDb's format: "2019" for movies, "2016–2022" / "2019–" for series
+ */
+function formatDatasetYear({ type, startYear, endYear }) {
+    if (!startYear) return null;
+    if (type !== 'series') return startYear;
+    return endYear ? `${startYear}–${endYear}` : `${startYear}–`;
+}
+
+/**
+ * Normalize an OMDb `Season=` response
+ * @returns {Object} { season, totalSeasons, episodes: [{episode, title, imdbId, rating}], average, fetchedAt }
+ */
+function normalizeOmdbSeason(data) {
+    const episodes = (data.Episodes || []).map(ep => ({
+        episode: parseInt(ep.Episode, 10),
+        title: ep.Title,
+        imdbId: ep.imdbID,
+        rating: ep.imdbRating && ep.imdbRating !== 'N/A' ? ep.imdbRating : null
+    }));
+
+    const rated = episodes.filter(ep => ep.rating);
+    const average = rated.length > 0
+        ? (rated.reduce((sum, ep) => sum + parseFloat(ep.rating), 0) / rated.length).toFixed(1)
+        : null;
+
+    return {
+        season: parseInt(data.Season, 10),
+        totalSeasons: parseInt(data.totalSeasons, 10) || null,
+        episodes,
+        average,
+        fetchedAt: Date.now()
+    };
+}
+
 /**
  * Normalize title for cache key generation
  */
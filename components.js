@@ -0,0 +1,1144 @@
+/**
+ * NetRot UI Components
+ * Ratings UI rendered into closed shadow roots with scoped styles, so Netflix's CSS can't
+ * break our layout and ours can't leak into theirs.
+ *
+ * Content scripts can't register custom elements (`customElements` is null in the isolated
+ * world), so hosts are undefined `<netrot-ratings>` elements given `data`, `mode`, `settings`,
+ * `correctable` and `episode` properties by hand. Assigning a property re-renders the shadow root.
+ *
+ * Each rating links to the title's page on its source site (a search there when no direct
+ * link is known). Presses on those links stop at the shadow root so the page's own card and
+ * player handlers don't also fire.
+ *
+ * Events (dispatched on the host, bubbling):
+ * - `netrot-wrong-match`: "Wrong match?" was clicked in detail mode
+ * - `netrot-open-settings`: a missing/invalid key or quota state was clicked
+ */
+
+const Components = {
+    // Host class per display mode (also used by duplicate checks in content.js)
+    MODE_CLASSES: {
+        card: 'netrot-card-badge',
+        hover: 'netrot-hover-ratings',
+        detail: 'netrot-detail-ratings',
+        player: 'netrot-player-ratings'
+    },
+
+    // Title details under the detail cards, one setting per group (popup "Detail view" toggles)
+    DETAIL_GROUPS: [
+        { setting: 'showDetailFacts', fields: { rated: 'Rated', runtime: 'Runtime', genre: 'Genre' } },
+        { setting: 'showDetailCredits', fields: { director: 'Director', actors: 'Cast' } },
+        { setting: 'showDetailAwards', fields: { awards: 'Awards', boxOffice: 'Box office' } },
+        { setting: 'showDetailPlot', fields: { plot: 'Plot' }, poster: true }
+    ],
+
+    // Rating sources as named on their sites (link titles, detail cards)
+    SOURCE_NAMES: {
+        imdb: 'IMDb',
+        rt: 'Rotten Tomatoes',
+        meta: 'Metacritic'
+    },
+
+    // Match report wording (data.match.method, data.lookup.source)
+    MATCH_METHODS: {
+        exact: 'exact title lookup (t=)',
+        search: 'search fallback',
+        pinned: 'pinned by you'
+    },
+    LOOKUP_SOURCES: {
+        memory: 'memory cache',
+        storage: 'stored cache',
+        api: 'fresh from the API'
+    },
+
+    // What to show for a record without ratings, by error code (see errorStateFor).
+    // `settings` states can be fixed in the extension settings and open them on click.
+    ERROR_STATES: {
+        NO_API_KEY: {
+            className: 'netrot-state-key', short: 'Key', text: 'No API key', settings: true,
+            tip: 'No OMDb API key is set. Click to open NetRot settings.'
+        },
+        INVALID_API_KEY: {
+            className: 'netrot-state-key', short: 'Key', text: 'Invalid API key', settings: true,
+            tip: 'OMDb rejected your API key. Click to open NetRot settings.'
+        },
+        QUOTA_EXHAUSTED: {
+            className: 'netrot-state-quota', short: 'Limit', text: 'Daily limit reached', settings: true,
+            tip: 'Your OMDb keys used up today\'s requests. Ratings resume after midnight UTC, or click to add another key.'
+        },
+        NETWORK_ERROR: {
+            className: 'netrot-state-network', short: '!', text: 'Ratings unavailable',
+            tip: 'Could not reach the ratings service. Reload the page to try again.'
+        },
+        NOT_FOUND: {
+            className: 'netrot-state-missing', short: '—', text: 'Not on IMDb',
+            tip: 'No matching title was found on IMDb.'
+        },
+        ERROR: {
+            className: 'netrot-state-network', short: '!', text: 'Ratings unavailable',
+            tip: 'Ratings could not be loaded. Reload the page to try again.'
+        }
+    },
+
+    STYLES: `
+    :host {
+        all: initial;
+        display: contents;
+    }
+
+    :host([hidden]) {
+        display: none;
+    }
+
+    /* -------------------------------------------------------------------------
+       1. CARD BADGE (Top-Left on Browse Cards, Always Visible)
+       ------------------------------------------------------------------------- */
+    .netrot-card-badge {
+        position: absolute;
+        top: 4px;
+        left: 4px;
+        z-index: 100;
+
+        display: flex;
+        align-items: center;
+        gap: 6px;
+
+        background: rgba(0, 0, 0, 0.85);
+        border-radius: 3px;
+        padding: 3px 6px;
+
+        font-family: 'Netflix Sans', 'Helvetica Neue', Arial, sans-serif;
+        font-size: 11px;
+        font-weight: 700;
+        color: #fff;
+
+        pointer-events: none;
+        box-shadow: 0 1px 3px rgba(0, 0, 0, 0.5);
+    }
+
+    .netrot-card-badge .netrot-imdb {
+        color: #f5c518;
+    }
+
+    .netrot-card-badge .netrot-rt {
+        color: #fa320a;
+    }
+
+    .netrot-card-badge .netrot-meta {
+        color: #66cc33;
+    }
+
+    /* Badge Item Layout */
+    .netrot-badge-item {
+        display: inline-flex;
+        align-items: center;
+        gap: 3px;
+    }
+
+    .netrot-badge-icon {
+        font-size: 11px;
+    }
+
+    .netrot-badge-score {
+        font-weight: 700;
+    }
+
+    .netrot-badge-label {
+        font-size: 9px;
+        opacity: 0.7;
+        text-transform: uppercase;
+    }
+
+    /* N/A State - dimmed appearance */
+    .netrot-badge-item.netrot-na {
+        opacity: 0.5;
+    }
+
+    .netrot-badge-item.netrot-na .netrot-badge-score {
+        color: #888;
+    }
+
+    /* -------------------------------------------------------------------------
+       HOVER CARD RATINGS (Mini Modal)
+       ------------------------------------------------------------------------- */
+    .netrot-hover-ratings {
+        margin: 8px 0;
+        padding: 0 16px;
+    }
+
+    .netrot-hover-row {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 12px;
+    }
+
+    .netrot-hover-item {
+        display: inline-flex;
+        align-items: center;
+        gap: 4px;
+        font-size: 13px;
+        font-weight: 600;
+    }
+
+    .netrot-hover-item small {
+        font-size: 10px;
+        opacity: 0.6;
+        text-transform: uppercase;
+    }
+
+    .netrot-hover-item.netrot-imdb {
+        color: #f5c518;
+    }
+
+    .netrot-hover-item.netrot-rt {
+        color: #fa320a;
+    }
+
+    .netrot-hover-item.netrot-meta {
+        color: #66cc33;
+    }
+
+    /* N/A State for hover items */
+    .netrot-hover-item.netrot-na {
+        opacity: 0.5;
+        color: #888;
+    }
+
+    /* -------------------------------------------------------------------------
+       2. DETAIL MODAL RATING CARDS (Above Description)
+       ------------------------------------------------------------------------- */
+    .netrot-detail-ratings {
+        margin: 16px 0;
+    }
+
+    .netrot-ratings-row {
+        display: flex;
+        flex-direction: row;
+        flex-wrap: nowrap;
+        align-items: center;
+        gap: 12px;
+    }
+
+    .netrot-rating-card {
+        display: flex;
+        align-items: center;
+        gap: 10px;
+
+        background: #2a2a2a;
+        border-radius: 4px;
+        padding: 10px 14px;
+        min-width: 120px;
+        border: 1px solid rgba(255, 255, 255, 0.1);
+
+        transition: transform 0.15s ease, background 0.15s ease;
+    }
+
+    .netrot-rating-card:hover {
+        background: #333;
+        transform: scale(1.02);
+    }
+
+    .netrot-card-icon {
+        font-size: 24px;
+        line-height: 1;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        width: 32px;
+        height: 32px;
+    }
+
+    .netrot-imdb-card .netrot-card-icon {
+        color: #f5c518;
+    }
+
+    .netrot-rt-card .netrot-card-icon {
+        color: #fa320a;
+    }
+
+    .netrot-meta-card .netrot-card-icon {
+        color: #66cc33;
+    }
+
+    /* N/A State for detail cards */
+    .netrot-na-card {
+        opacity: 0.5;
+    }
+
+    .netrot-na-card .netrot-card-score {
+        color: #888;
+    }
+
+    .netrot-card-content {
+        display: flex;
+        flex-direction: column;
+    }
+
+    .netrot-card-score {
+        font-family: 'Netflix Sans', 'Helvetica Neue', Arial, sans-serif;
+        font-size: 18px;
+        font-weight: 700;
+        color: #fff;
+        line-height: 1.2;
+    }
+
+    .netrot-card-source {
+        font-family: 'Netflix Sans', 'Helvetica Neue', Arial, sans-serif;
+        font-size: 11px;
+        font-weight: 500;
+        color: #999;
+        text-transform: uppercase;
+        letter-spacing: 0.5px;
+    }
+
+    /* -------------------------------------------------------------------------
+       3. ANIMATIONS
+       ------------------------------------------------------------------------- */
+    .netrot-card-badge.netrot-loaded,
+    .netrot-detail-ratings.netrot-loaded,
+    .netrot-hover-ratings.netrot-loaded {
+        animation: netrotFadeIn 0.25s ease-out;
+    }
+
+    @keyframes netrotFadeIn {
+        from {
+            opacity: 0;
+            transform: translateY(-3px);
+        }
+
+        to {
+            opacity: 1;
+            transform: translateY(0);
+        }
+    }
+
+    /* -------------------------------------------------------------------------
+       4. LOADING STATES
+       ------------------------------------------------------------------------- */
+    .netrot-loading {
+        opacity: 0.6;
+    }
+
+    .netrot-loaded {
+        opacity: 1;
+        transition: opacity 0.2s ease;
+    }
+
+    .netrot-skeleton {
+        display: inline-block;
+        width: 60px;
+        height: 14px;
+        background: linear-gradient(90deg, #2a2a2a 25%, #3a3a3a 50%, #2a2a2a 75%);
+        background-size: 200% 100%;
+        animation: netrotShimmer 1.5s infinite;
+        border-radius: 2px;
+    }
+
+    .netrot-card-badge .netrot-skeleton {
+        width: 80px;
+        height: 12px;
+    }
+
+    .netrot-detail-ratings .netrot-skeleton {
+        width: 120px;
+        height: 40px;
+    }
+
+    .netrot-hover-ratings .netrot-skeleton {
+        width: 100px;
+        height: 16px;
+    }
+
+    @keyframes netrotShimmer {
+        0% {
+            background-position: 200% 0;
+        }
+
+        100% {
+            background-position: -200% 0;
+        }
+    }
+
+    /* Loading pulse animation */
+    @keyframes netrotPulse {
+
+        0%,
+        100% {
+            opacity: 0.4;
+        }
+
+        50% {
+            opacity: 0.7;
+        }
+    }
+
+    /* -------------------------------------------------------------------------
+       5. RESPONSIVE ADJUSTMENTS
+       ------------------------------------------------------------------------- */
+    @media (max-width: 600px) {
+        .netrot-detail-ratings {
+            gap: 8px;
+        }
+
+        .netrot-rating-card {
+            padding: 8px 10px;
+            min-width: 100px;
+        }
+
+        .netrot-card-icon {
+            font-size: 20px;
+            width: 28px;
+            height: 28px;
+        }
+
+        .netrot-card-score {
+            font-size: 16px;
+        }
+    }
+
+    /* -------------------------------------------------------------------------
+       6. NO RATINGS STATE
+       ------------------------------------------------------------------------- */
+    .netrot-no-data,
+    .netrot-no-ratings {
+        color: #666;
+        font-size: 12px;
+        font-style: italic;
+    }
+
+    .netrot-badge-item.netrot-no-data {
+        opacity: 0.6;
+    }
+
+    .netrot-badge-item.netrot-no-data .netrot-badge-score {
+        color: #666;
+        font-size: 14px;
+    }
+
+    .netrot-hover-item.netrot-no-data {
+        opacity: 0.6;
+        font-size: 11px;
+    }
+
+    .netrot-no-ratings {
+        padding: 10px 14px;
+        background: #2a2a2a;
+        border-radius: 4px;
+        border: 1px solid rgba(255, 255, 255, 0.1);
+    }
+
+    /* -------------------------------------------------------------------------
+       7. MATCH CORRECTION LINK
+       ------------------------------------------------------------------------- */
+    .netrot-wrong-match {
+        background: transparent;
+        border: none;
+        color: #999;
+        cursor: pointer;
+        font-size: 11px;
+        text-decoration: underline;
+        padding: 4px;
+        white-space: nowrap;
+    }
+
+    .netrot-wrong-match:hover {
+        color: #fff;
+    }
+
+    /* -------------------------------------------------------------------------
+       8. UNCERTAIN MATCH
+       ------------------------------------------------------------------------- */
+    .netrot-badge-item.netrot-uncertain,
+    .netrot-hover-item.netrot-uncertain {
+        color: #e5a00d;
+    }
+
+    .netrot-uncertain-note {
+        color: #e5a00d;
+        font-family: 'Netflix Sans', 'Helvetica Neue', Arial, sans-serif;
+        font-size: 12px;
+        max-width: 160px;
+    }
+
+    /* -------------------------------------------------------------------------
+       9. PLAYER OVERLAY (/watch, shown while paused)
+       ------------------------------------------------------------------------- */
+    .netrot-player-ratings {
+        position: fixed;
+        top: 96px;
+        right: 32px;
+        z-index: 2147483000;
+
+        display: flex;
+        flex-direction: column;
+        gap: 6px;
+        max-width: 320px;
+
+        background: rgba(0, 0, 0, 0.75);
+        border-radius: 6px;
+        padding: 10px 14px;
+
+        font-family: 'Netflix Sans', 'Helvetica Neue', Arial, sans-serif;
+        color: #fff;
+
+        pointer-events: none;
+    }
+
+    .netrot-player-title {
+        font-size: 14px;
+        font-weight: 700;
+    }
+
+    .netrot-player-episode {
+        font-size: 12px;
+        color: #ccc;
+    }
+
+    .netrot-player-episode .netrot-imdb {
+        color: #f5c518;
+        font-weight: 700;
+    }
+
+    /* -------------------------------------------------------------------------
+       10. TITLE DETAILS (detail view, below the rating cards)
+       ------------------------------------------------------------------------- */
+    .netrot-title-details {
+        display: flex;
+        gap: 12px;
+        margin-top: 10px;
+        max-width: 640px;
+        font-family: 'Netflix Sans', 'Helvetica Neue', Arial, sans-serif;
+        font-size: 12px;
+        color: #ccc;
+    }
+
+    .netrot-title-details img {
+        width: 60px;
+        height: auto;
+        align-self: flex-start;
+        border-radius: 3px;
+    }
+
+    .netrot-title-details dl {
+        display: grid;
+        grid-template-columns: max-content 1fr;
+        gap: 3px 10px;
+        margin: 0;
+    }
+
+    .netrot-title-details dt {
+        color: #888;
+    }
+
+    .netrot-title-details dd {
+        margin: 0;
+    }
+
+    /* -------------------------------------------------------------------------
+       11. MATCH INFO (tooltip on badges, expandable under detail cards)
+       ------------------------------------------------------------------------- */
+    .netrot-card-badge[title] {
+        pointer-events: auto;
+        cursor: help;
+    }
+
+    .netrot-match-info {
+        margin-top: 6px;
+        font-family: 'Netflix Sans', 'Helvetica Neue', Arial, sans-serif;
+        font-size: 11px;
+        color: #999;
+    }
+
+    .netrot-match-info summary {
+        cursor: pointer;
+        width: max-content;
+    }
+
+    .netrot-match-info summary:hover {
+        color: #fff;
+    }
+
+    .netrot-match-info div {
+        margin-top: 2px;
+    }
+
+    /* -------------------------------------------------------------------------
+       12. ERROR STATES (missing key, quota, network, not found)
+       ------------------------------------------------------------------------- */
+    .netrot-state {
+        pointer-events: auto;
+        font-style: normal;
+    }
+
+    .netrot-state.netrot-open-settings {
+        cursor: pointer;
+    }
+
+    .netrot-state-key,
+    .netrot-state-key .netrot-badge-score {
+        color: #e87c03;
+    }
+
+    .netrot-state-quota,
+    .netrot-state-quota .netrot-badge-score {
+        color: #e5a00d;
+    }
+
+    .netrot-state-network,
+    .netrot-state-network .netrot-badge-score {
+        color: #b3b3b3;
+    }
+
+    .netrot-state-missing,
+    .netrot-state-missing .netrot-badge-score {
+        color: #666;
+        font-style: italic;
+    }
+
+    .netrot-hover-item.netrot-state {
+        font-size: 11px;
+    }
+
+    button.netrot-open-settings {
+        margin-left: 8px;
+        background: transparent;
+        border: none;
+        color: inherit;
+        cursor: pointer;
+        font-size: 12px;
+        text-decoration: underline;
+        padding: 0;
+    }
+
+    /* -------------------------------------------------------------------------
+       13. RATING LINKS (to the source's page for the title)
+       ------------------------------------------------------------------------- */
+    a.netrot-rating-link {
+        color: inherit;
+        text-decoration: none;
+        cursor: pointer;
+        pointer-events: auto;
+    }
+
+    a.netrot-rating-link:hover .netrot-badge-score,
+    a.netrot-rating-link:hover .netrot-card-score,
+    a.netrot-hover-item.netrot-rating-link:hover {
+        text-decoration: underline;
+    }
+
+    a.netrot-rating-link:focus-visible {
+        outline: 2px solid #fff;
+        outline-offset: 1px;
+    }    `,
+
+    /**
+     * Create a ratings host element
+     * @param {string} mode - 'card' | 'hover' | 'detail' | 'player'
+     * @returns {HTMLElement|null} Host showing a loading skeleton until `data` is set
+     */
+    create: (mode) => {
+        if (!Components.MODE_CLASSES[mode]) return null;
+
+        const host = document.createElement('netrot-ratings');
+        const shadow = host.attachShadow({ mode: 'closed' });
+
+        const style = document.createElement('style');
+        style.textContent = Components.STYLES;
+        const root = document.createElement('div');
+        shadow.append(style, root);
+
+        const state = { data: null, mode, settings: {}, correctable: false, episode: null, renderQueued: false };
+
+        // Batch property assignments made in the same task into one render
+        const render = () => {
+            if (state.renderQueued) return;
+            state.renderQueued = true;
+            queueMicrotask(() => {
+                state.renderQueued = false;
+                Components.render(root, state);
+            });
+        };
+
+        const property = (name) => ({
+            get: () => state[name],
+            set: (value) => {
+                state[name] = value;
+                render();
+            }
+        });
+
+        Object.defineProperties(host, {
+            data: property('data'),
+            settings: property('settings'),
+            correctable: property('correctable'),
+            episode: property('episode'),
+            mode: {
+                get: () => state.mode,
+                set: (value) => {
+                    host.classList.remove(Components.MODE_CLASSES[state.mode]);
+                    state.mode = value;
+                    host.classList.add(Components.MODE_CLASSES[value]);
+                    render();
+                }
+            }
+        });
+
+        host.classList.add(Components.MODE_CLASSES[mode]);
+
+        // Rating links open in a new tab by default; keep the press from reaching the page's own
+        // card, modal and player handlers
+        ['pointerdown', 'mousedown', 'pointerup', 'mouseup', 'click', 'keydown'].forEach((type) => {
+            shadow.addEventListener(type, (e) => {
+                if (e.target.closest('.netrot-rating-link')) e.stopPropagation();
+            });
+        });
+
+        // The shadow root is closed: re-emit clicks the page needs to know about from the host
+        shadow.addEventListener('click', (e) => {
+            const action = e.target.closest('.netrot-wrong-match, .netrot-open-settings');
+            if (!action) return;
+            e.preventDefault();
+            e.stopPropagation();
+            const type = action.matches('.netrot-wrong-match') ? 'netrot-wrong-match' : 'netrot-open-settings';
+            host.dispatchEvent(new CustomEvent(type, { bubbles: true }));
+        });
+
+        Components.render(root, state);
+        return host;
+    },
+
+    render: (root, { data, mode, settings, correctable, episode }) => {
+        const wrapperClass = Components.MODE_CLASSES[mode];
+
+        if (!data) {
+            root.className = `${wrapperClass} netrot-loading`;
+            root.replaceChildren(Components.el('span', { className: 'netrot-skeleton' }));
+            return;
+        }
+
+        root.className = `${wrapperClass} netrot-loaded`;
+        root.removeAttribute('title');
+
+        const errorState = Components.errorStateFor(data);
+        if (errorState) {
+            root.replaceChildren(...Components.buildErrorState(data, errorState, mode, correctable));
+            return;
+        }
+
+        switch (mode) {
+            case 'card':
+                root.replaceChildren(...Components.buildBadge(data, settings));
+                Components.setMatchTooltip(root, data);
+                break;
+            case 'hover':
+                root.replaceChildren(Components.buildHoverRatings(data, settings));
+                Components.setMatchTooltip(root, data);
+                break;
+            case 'detail':
+                root.replaceChildren(Components.buildDetailCards(data, settings, correctable),
+                    ...Components.buildTitleDetails(data, settings),
+                    ...Components.buildMatchInfo(data));
+                break;
+            case 'player':
+                root.replaceChildren(...Components.buildPlayerPanel(data, settings, episode));
+                break;
+        }
+    },
+
+    /**
+     * Create an element. All text goes through text nodes, never markup, so values from
+     * upstream APIs can't inject elements or attributes.
+     * @param {string} tag - Tag name
+     * @param {Object} [props] - Element properties (e.g. className, title, type)
+     * @param {...(Node|string|number|null)} children - Nodes or text; null/undefined are skipped
+     * @returns {HTMLElement}
+     */
+    el: (tag, props = {}, ...children) => {
+        const element = document.createElement(tag);
+        Object.assign(element, props);
+        children.forEach((child) => {
+            if (child === null || child === undefined || child === false) return;
+            element.append(child instanceof Node ? child : String(child));
+        });
+        return element;
+    },
+
+    /**
+     * Error state for a record without ratings
+     * @returns {Object|null} Entry of ERROR_STATES, or null when the lookup succeeded
+     */
+    errorStateFor: (data) => {
+        if (data.status === 'not_found') return Components.ERROR_STATES.NOT_FOUND;
+        if (data.status !== 'error') return null;
+
+        // Records from before error codes only carry the message (which was the code for key errors)
+        return Components.ERROR_STATES[data.code || data.error] || Components.ERROR_STATES.ERROR;
+    },
+
+    /**
+     * What was looked up, what it matched and where the record came from
+     * @returns {string[]} One line each; empty when the record has no match report
+     */
+    describeMatch: (data) => {
+        const lines = [];
+        const lookup = data.lookup;
+        const match = data.match;
+
+        if (lookup?.title) {
+            lines.push(`Looked up: ${lookup.title}${lookup.year ? ` (${lookup.year})` : ''}`);
+        }
+        if (data.title || data.imdbId) {
+            const details = [data.year, data.type].filter(Boolean).join(', ');
+            lines.push(`Matched: ${data.title || '?'}${details ? ` (${details})` : ''}${data.imdbId ? ` ${data.imdbId}` : ''}`);
+        }
+        if (match?.method) {
+            const method = Components.MATCH_METHODS[match.method] || match.method;
+            const score = typeof match.confidence === 'number' ? `, ${Math.round(match.confidence * 100)}% score` : '';
+            const via = data.sources?.length ? ` (${data.sources.join(' + ')})` : '';
+            lines.push(`Match: ${method}${score}${via}`);
+        }
+        if (lookup?.source || data.fetchedAt) {
+            const parts = [];
+            if (lookup?.source) parts.push(Components.LOOKUP_SOURCES[lookup.source] || lookup.source);
+            if (data.fetchedAt) parts.push(`fetched ${Components.formatAge(Date.now() - data.fetchedAt)}`);
+            lines.push(`From: ${parts.join(', ')}`);
+        }
+
+        return lines.length > 1 ? lines : [];
+    },
+
+    /**
+     * @param {number} ms - Age in milliseconds
+     * @returns {string} e.g. "just now", "5 min ago", "3 h ago", "2 days ago"
+     */
+    formatAge: (ms) => {
+        const minutes = Math.floor(ms / 60000);
+        if (minutes < 1) return 'just now';
+        if (minutes < 60) return `${minutes} min ago`;
+        const hours = Math.floor(minutes / 60);
+        if (hours < 24) return `${hours} h ago`;
+        const days = Math.floor(hours / 24);
+        return `${days} day${days === 1 ? '' : 's'} ago`;
+    },
+
+    setMatchTooltip: (root, data) => {
+        const lines = Components.describeMatch(data);
+        if (lines.length === 0) return;
+
+        const text = lines.join('\n');
+        root.title = text;
+        // A link's own title hides the root's while hovering it
+        root.querySelectorAll('.netrot-rating-link').forEach((link) => {
+            link.title = `${link.title}\n\n${text}`;
+        });
+    },
+
+    /**
+     * Collapsed "Match info" section for detail views
+     * @returns {Node[]} Empty when there is nothing to report
+     */
+    buildMatchInfo: (data) => {
+        const el = Components.el;
+        const lines = Components.describeMatch(data);
+        if (lines.length === 0) return [];
+
+        return [el('details', { className: 'netrot-match-info' },
+            el('summary', {}, 'Match info'),
+            ...lines.map(line => el('div', {}, line)))];
+    },
+
+    /**
+     * The title's page on a rating's source site, or a search there when no direct link is known
+     * @param {string} source - 'imdb' | 'rt' | 'meta'
+     * @returns {string|null} null without an ID or title to go by
+     */
+    ratingUrl: (data, source) => {
+        const title = data.title || data.lookup?.title;
+        const query = encodeURIComponent(title || '');
+
+        switch (source) {
+            case 'imdb':
+                if (/^tt\d+$/.test(data.imdbId || '')) return `https://www.imdb.com/title/${data.imdbId}/`;
+                return title ? `https://www.imdb.com/find/?q=${query}` : null;
+            case 'rt': {
+                const url = data.ratings?.rottenTomatoes?.url;
+                if (/^https?:\/\//.test(url || '')) return url;
+                return title ? `https://www.rottentomatoes.com/search?search=${query}` : null;
+            }
+            case 'meta':
+                return title ? `https://www.metacritic.com/search/${query}/` : null;
+        }
+        return null;
+    },
+
+    /**
+     * A rating wrapped in a link to its source (new tab); a plain span when there's nothing to link to
+     * @param {string} source - 'imdb' | 'rt' | 'meta'
+     * @param {string} className - Item classes
+     */
+    ratingLink: (data, source, className, ...children) => {
+        const el = Components.el;
+        const href = Components.ratingUrl(data, source);
+        if (!href) return el('span', { className }, ...children);
+
+        return el('a', {
+            className: `${className} netrot-rating-link`,
+            href,
+            target: '_blank',
+            rel: 'noopener noreferrer',
+            title: `Open on ${Components.SOURCE_NAMES[source]}`
+        }, ...children);
+    },
+
+    isUncertainMatch: (data) => {
+        // The background decides (MATCH_CONFIDENCE.LOW)
+        return data.status === 'success' && data.match?.uncertain === true;
+    },
+
+    /**
+     * Get rating value from normalized data structure
+     */
+    getRating: (data, source) => {
+        // Try new normalized structure first
+        if (data.ratings) {
+            switch (source) {
+                case 'imdb':
+                    return data.ratings.imdb?.score || null;
+                case 'rt':
+                    return data.ratings.rottenTomatoes?.score || null;
+                case 'meta':
+                    return data.ratings.metacritic?.score || null;
+            }
+        }
+
+        // Fall back to legacy structure
+        switch (source) {
+            case 'imdb':
+                return data.imdbRating !== 'N/A' ? data.imdbRating : null;
+            case 'rt':
+                const rt = data.Ratings?.find(r => r.Source === 'Rotten Tomatoes');
+                return rt?.Value || null;
+            case 'meta':
+                return data.metascore !== 'N/A' ? data.metascore : null;
+        }
+
+        return null;
+    },
+
+    // =========================================================================
+    // BUILDERS (DOM nodes only, see el())
+    // =========================================================================
+    buildBadge: (data, settings) => {
+        const el = Components.el;
+        let items = [];
+
+        const item = (source, className, icon, score, label) => Components.ratingLink(data, source, `netrot-badge-item ${className}`,
+            el('span', { className: 'netrot-badge-icon' }, icon),
+            el('span', { className: 'netrot-badge-score' }, score),
+            el('span', { className: 'netrot-badge-label' }, label));
+
+        if (settings.showImdb) {
+            const score = Components.getRating(data, 'imdb');
+            if (score) {
+                items.push(item('imdb', 'netrot-imdb', '★', score, 'IMDb'));
+            }
+        }
+
+        if (settings.showRotten) {
+            const score = Components.getRating(data, 'rt');
+            if (score) {
+                items.push(item('rt', 'netrot-rt', '🍅', score, 'RT'));
+            }
+        }
+
+        if (settings.showMetacritic) {
+            const score = Components.getRating(data, 'meta');
+            if (score) {
+                items.push(item('meta', 'netrot-meta', 'M', score, 'Meta'));
+            }
+        }
+
+        // If no ratings available, show a subtle indicator
+        if (items.length === 0) {
+            return [el('span', { className: 'netrot-badge-item netrot-no-data' },
+                el('span', { className: 'netrot-badge-score' }, '—'))];
+        }
+
+        if (Components.isUncertainMatch(data)) {
+            items.push(el('span', { className: 'netrot-badge-item netrot-uncertain' },
+                el('span', { className: 'netrot-badge-score' }, '?')));
+        }
+
+        return items;
+    },
+
+    buildHoverRatings: (data, settings) => {
+        const el = Components.el;
+        let items = [];
+
+        const item = (source, className, icon, score, label) => Components.ratingLink(data, source, `netrot-hover-item ${className}`,
+            `${icon} ${score} `, el('small', {}, label));
+
+        if (settings.showImdb) {
+            const score = Components.getRating(data, 'imdb');
+            if (score) {
+                items.push(item('imdb', 'netrot-imdb', '★', score, 'IMDb'));
+            }
+        }
+        if (settings.showRotten) {
+            const score = Components.getRating(data, 'rt');
+            if (score) {
+                items.push(item('rt', 'netrot-rt', '🍅', score, 'RT'));
+            }
+        }
+        if (settings.showMetacritic) {
+            const score = Components.getRating(data, 'meta');
+            if (score) {
+                items.push(item('meta', 'netrot-meta', 'M', score, 'Meta'));
+            }
+        }
+
+        // If no ratings, show minimal indicator
+        if (items.length === 0) {
+            items.push(el('span', { className: 'netrot-hover-item netrot-no-data' }, 'No ratings'));
+        } else if (Components.isUncertainMatch(data)) {
+            items.push(el('span', { className: 'netrot-hover-item netrot-uncertain' }, '? ', el('small', {}, 'Uncertain match')));
+        }
+
+        return el('div', { className: 'netrot-hover-row' }, ...items);
+    },
+
+    buildDetailCards: (data, settings, correctable = false) => {
+        const el = Components.el;
+        let cards = [];
+
+        if (settings.showImdb) {
+            const score = Components.getRating(data, 'imdb');
+            if (score) {
+                cards.push(Components.createCard(data, 'imdb', score, '★', 'netrot-imdb-card'));
+            }
+        }
+
+        if (settings.showRotten) {
+            const score = Components.getRating(data, 'rt');
+            if (score) {
+                cards.push(Components.createCard(data, 'rt', score, '🍅', 'netrot-rt-card'));
+            }
+        }
+
+        if (settings.showMetacritic) {
+            const score = Components.getRating(data, 'meta');
+            if (score) {
+                cards.push(Components.createCard(data, 'meta', score, 'M', 'netrot-meta-card'));
+            }
+        }
+
+        // Show message if no ratings available
+        if (cards.length === 0) {
+            cards.push(el('div', { className: 'netrot-no-ratings' }, 'No ratings available'));
+        }
+
+        if (Components.isUncertainMatch(data)) {
+            cards.push(el('div', { className: 'netrot-uncertain-note' },
+                `Possibly not this title (${Math.round(data.match.confidence * 100)}% match)`));
+        }
+
+        if (correctable) {
+            cards.push(el('button', { type: 'button', className: 'netrot-wrong-match', title: 'Pick the correct title' }, 'Wrong match?'));
+        }
+
+        return el('div', { className: 'netrot-ratings-row' }, ...cards);
+    },
+
+    /**
+     * Runtime, genre, credits, awards etc. for the groups enabled in settings (DETAIL_GROUPS)
+     * @returns {Node[]} Empty when no enabled group has data
+     */
+    buildTitleDetails: (data, settings) => {
+        const el = Components.el;
+        const details = data.details || {};
+        const rows = [];
+        let poster = null;
+
+        Components.DETAIL_GROUPS.forEach((group) => {
+            if (!settings[group.setting]) return;
+            Object.entries(group.fields).forEach(([key, label]) => {
+                if (details[key]) rows.push(el('dt', {}, label), el('dd', {}, details[key]));
+            });
+            if (group.poster && /^https:\/\//.test(details.poster || '')) {
+                // Dropped if the page's CSP or the image host refuses it
+                poster = el('img', {
+                    src: details.poster, alt: '', loading: 'lazy', referrerPolicy: 'no-referrer',
+                    onerror: (e) => e.target.remove()
+                });
+            }
+        });
+
+        if (rows.length === 0 && !poster) return [];
+        return [el('div', { className: 'netrot-title-details' }, poster, rows.length ? el('dl', {}, ...rows) : null)];
+    },
+
+    /**
+     * Title, the hover-style ratings row and, for series, the playing episode's IMDb score
+     * @param {Object|null} episode - {season, episode, title, rating}
+     */
+    buildPlayerPanel: (data, settings, episode) => {
+        const el = Components.el;
+        const nodes = [];
+
+        if (data.title) {
+            nodes.push(el('div', { className: 'netrot-player-title' }, data.title));
+        }
+        nodes.push(Components.buildHoverRatings(data, settings));
+
+        if (episode?.rating && settings.showImdb) {
+            nodes.push(el('div', { className: 'netrot-player-episode' },
+                `S${episode.season}:E${episode.episode}${episode.title ? ` ${episode.title}` : ''} `,
+                el('span', { className: 'netrot-imdb' }, `★ ${episode.rating}`)));
+        }
+
+        return nodes;
+    },
+
+    /**
+     * Error state in the shape of the mode's normal output; hover text is the tooltip
+     * @param {Object} state - Entry of ERROR_STATES
+     * @returns {Node[]}
+     */
+    buildErrorState: (data, state, mode, correctable = false) => {
+        const el = Components.el;
+        const className = `netrot-state ${state.className}`;
+        const action = state.settings ? ' netrot-open-settings' : '';
+
+        switch (mode) {
+            case 'card':
+                return [el('span', { className: `netrot-badge-item ${className}${action}`, title: state.tip },
+                    el('span', { className: 'netrot-badge-score' }, state.short))];
+            case 'detail':
+                return [el('div', { className: 'netrot-ratings-row' },
+                    el('div', { className: `netrot-no-ratings ${className}`, title: state.tip }, state.text,
+                        state.settings ? el('button', { type: 'button', className: 'netrot-open-settings' }, 'Open settings') : null),
+                    correctable && !state.settings
+                        ? el('button', { type: 'button', className: 'netrot-wrong-match', title: 'Pick the correct title' }, 'Wrong match?')
+                        : null)];
+            default: {
+                const row = el('div', { className: 'netrot-hover-row' },
+                    el('span', { className: `netrot-hover-item ${className}${action}`, title: state.tip }, state.text));
+                if (mode === 'player' && data.title) {
+                    return [el('div', { className: 'netrot-player-title' }, data.title), row];
+                }
+                return [row];
+            }
+        }
+    },
+
+    createCard: (data, source, score, icon, className) => {
+        const el = Components.el;
+        return Components.ratingLink(data, source, `netrot-rating-card ${className}`,
+            el('div', { className: 'netrot-card-icon' }, icon),
+            el('div', { className: 'netrot-card-content' },
+                el('div', { className: 'netrot-card-score' }, score),
+                el('div', { className: 'netrot-card-source' }, Components.SOURCE_NAMES[source])));
+    }
+};
@@ -1,39 +1,72 @@
 /**
  * NetRot Content Script
- * Injects IMDb, Rotten Tomatoes, and Metacritic ratings into Netflix UI.
- * Uses RatingsStore for unified caching and event-driven updates.
+ * Injects IMDb, Rotten Tomatoes, and Metacritic ratings into streaming sites' UI.
+ * Site DOM knowledge comes from the page's site adapter and selector profile
+ * (site-adapters.js, sites/*.js, profiles/*.json);
+ * uses RatingsStore for unified caching and event-driven updates.
  */
 
 (function () {
     'use strict';
 
+    // Adapter for this site (extraction and attach points, driven by its selector profile)
+    const site = SiteAdapters.forHost(location.hostname);
+    if (!site) return;
+
     const NETROT_MARKER = 'netrot-injected';
     const NETROT_SUBSCRIBED = 'netrot-subscribed';
     let observer = null;
-    let userSettings = {
+    const DEFAULT_SETTINGS = {
         showImdb: true,
         showRotten: true,
-        showMetacritic: true
+        showMetacritic: true,
+        // Title detail groups in detail views (Components.DETAIL_GROUPS)
+        showDetailFacts: true,
+        showDetailCredits: true,
+        showDetailAwards: true,
+        showDetailPlot: false,
+        fetchMode: 'visible', // 'visible' | 'eager'
+        playerOverlay: 'paused' // 'paused' | 'always' | 'off'
     };
+    const userSettings = { ...DEFAULT_SETTINGS };
 
     // Track active subscriptions for cleanup
     const activeSubscriptions = new WeakMap();
 
+    // Lookup context of subscribed detail modals (for episode ratings)
+    const detailContexts = new WeakMap();
+
+    // Rendered containers of live subscriptions (element -> { container, type, key }), for re-rendering
+    const liveContainers = new Map();
+
+    // Settings that change how ratings are drawn
+    const DISPLAY_SETTINGS = ['showImdb', 'showRotten', 'showMetacritic',
+        'showDetailFacts', 'showDetailCredits', 'showDetailAwards', 'showDetailPlot'];
+
     // =========================================================================
     // INITIALIZATION
     // =========================================================================
     function init() {
-        console.log('[NetRot] Initializing content script with RatingsStore...');
+        console.log(`[NetRot] Initializing content script for ${site.name} with RatingsStore...`);
 
         // Initial settings sync
         syncSettings();
 
-        // Watch for dynamic content loading (infinite scroll, modal opens)
-        observer = new MutationObserver(debounce(scanAndInject, 500));
+        // Watch for dynamic content loading (infinite scroll, modal opens) and removals
+        observer = new MutationObserver(onMutations);
         observer.observe(document.body, { childList: true, subtree: true });
 
+        // Key and quota badges open the settings (see Components.ERROR_STATES)
+        document.addEventListener('netrot-open-settings', () => {
+            chrome.runtime.sendMessage({ type: 'OPEN_SETTINGS' });
+        });
+
         // Initial scan
+        trackPageCheck();
         scanAndInject();
+        checkPlayerPage();
+
+        setInterval(reportSelectorHealth, HEALTH_REPORT_INTERVAL);
 
         console.log('[NetRot] Content script initialized.');
     }
@@ -41,44 +74,120 @@
     // =========================================================================
     // MAIN SCANNER
     // =========================================================================
-    function scanAndInject() {
-        scanBrowseCards();
-        scanDetailModals();
-        scanHoverCards();
-    }
-
-    function scanBrowseCards() {
-        // Use only the most specific selector to avoid nested duplicates
-        // .title-card-container is inside .slider-item, so only target the inner one
-        const selectors = [
-            '.title-card-container',
-            '.boxart-round'
-        ];
-
-        const cards = document.querySelectorAll(selectors.join(', '));
-        cards.forEach(card => {
+
+    // Added subtrees waiting to be scanned; processed within SCAN_BUDGET_MS per frame
+    const SCAN_BUDGET_MS = 8;
+    const pendingRoots = new Set();
+    let scanScheduled = false;
+
+    /**
+     * Scan a subtree (the whole page by default) for titles to inject
+     */
+    function scanAndInject(root = document.body) {
+        scanBrowseCards(root);
+        scanDetailModals(root);
+        scanHoverCards(root);
+        scanEpisodeLists(root);
+    }
+
+    /**
+     * Queue added subtrees and release subscriptions of removed ones
+     */
+    function onMutations(mutations) {
+        trackPageCheck();
+        checkPlayerPage();
+
+        mutations.forEach((mutation) => {
+            mutation.addedNodes.forEach((node) => {
+                if (node.nodeType === Node.ELEMENT_NODE && !isOwnNode(node)) pendingRoots.add(node);
+            });
+            mutation.removedNodes.forEach((node) => {
+                if (node.nodeType === Node.ELEMENT_NODE) releaseSubtree(node);
+            });
+        });
+
+        if (pendingRoots.size > 0) scheduleScan();
+    }
+
+    function scheduleScan() {
+        if (scanScheduled) return;
+        scanScheduled = true;
+        requestAnimationFrame(processPendingRoots);
+    }
+
+    function processPendingRoots() {
+        scanScheduled = false;
+        const start = performance.now();
+
+        for (const root of pendingRoots) {
+            pendingRoots.delete(root);
+            if (root.isConnected) scanAndInject(root);
+
+            // Out of budget: yield to the page and continue next frame
+            if (performance.now() - start >= SCAN_BUDGET_MS) break;
+        }
+
+        if (pendingRoots.size > 0) scheduleScan();
+    }
+
+    /**
+     * Unsubscribe every injected element in a removed subtree
+     */
+    function releaseSubtree(node) {
+        // Moved rather than removed (re-inserted in the same batch)
+        if (node.isConnected) return;
+
+        pendingRoots.delete(node);
+        const subscribed = Array.from(node.querySelectorAll(`[${NETROT_SUBSCRIBED}]`));
+        if (node.hasAttribute(NETROT_SUBSCRIBED)) subscribed.push(node);
+
+        subscribed.forEach(releaseElement);
+    }
+
+    /**
+     * Drop everything held for an injected element. Also called by the RatingsStore when its
+     * sweep finds the element detached (removals this scan missed).
+     */
+    function releaseElement(element) {
+        const unsubscribe = activeSubscriptions.get(element);
+        if (unsubscribe) {
+            unsubscribe();
+            activeSubscriptions.delete(element);
+        }
+        liveContainers.delete(element);
+        forgetCard(element);
+    }
+
+    /**
+     * Nodes we inserted ourselves (badges, pickers, episode scores) never contain titles
+     */
+    function isOwnNode(node) {
+        return typeof node.className === 'string' && /(^|\s)netrot-/.test(node.className);
+    }
+
+    /**
+     * Elements matching a selector inside a subtree, plus its closest matching ancestor
+     */
+    function findInSubtree(root, selector) {
+        const found = new Set(root.querySelectorAll(selector));
+        const container = root.closest(selector);
+        if (container) found.add(container);
+        return found;
+    }
+
+    function scanBrowseCards(root) {
+        SiteAdapters.discover(root, 'card').forEach(card => {
             if (card.hasAttribute(NETROT_SUBSCRIBED)) return;
 
             // Skip if a parent element already has a badge (handles any remaining nesting)
             if (card.closest('[netrot-subscribed="true"]')) return;
 
-            const title = extractTitle(card);
-            const videoId = Utils.extractNetflixId(card);
-            const year = extractYearFromElement(card);
-
-            if (title) {
-                card.setAttribute(NETROT_SUBSCRIBED, 'true');
-                injectWithSubscription(card, videoId, title, year, 'card');
-            }
+            injectFound(card, 'card');
         });
     }
 
-    function scanDetailModals() {
-        // IMPORTANT: Only use .previewModal--container - NOT .detail-modal
-        // .detail-modal class appears on many nested elements within the modal
-        const modals = document.querySelectorAll('.previewModal--container, [data-uia="preview-modal-container"]');
-
-        modals.forEach(modal => {
+    function scanDetailModals(root) {
+        SiteAdapters.discover(root, 'detail').forEach(modal => {
             // Skip if this modal is nested inside another modal (shouldn't happen, but be safe)
             if (modal.closest('[netrot-subscribed="true"]')) return;
 
@@ -86,49 +195,41 @@
             if (modal.querySelector('.netrot-detail-ratings, .netrot-hover-ratings')) return;
             if (modal.hasAttribute(NETROT_SUBSCRIBED)) return;
 
-            const title = extractTitleFromModal(modal);
-            const year = extractYearFromModal(modal);
-            const videoId = Utils.extractNetflixId(modal);
-
-            if (title) {
-                modal.setAttribute(NETROT_SUBSCRIBED, 'true');
-                injectWithSubscription(modal, videoId, title, year, 'detail');
-            }
+            injectFound(modal, 'detail');
         });
     }
 
-    function scanHoverCards() {
-        const selectors = [
-            '.mini-modal',
-            '.bob-card',
-            '.previewModal--wrapper',
-            '.jawBoneContainer',
-            '.bob-container'
-        ];
+    function scanHoverCards(root) {
+        const detailSelectors = SiteAdapters.selectorFor('detail');
 
-        const cards = document.querySelectorAll(selectors.join(', '));
-
-        cards.forEach(card => {
+        SiteAdapters.discover(root, 'hover').forEach(card => {
             if (card.hasAttribute(NETROT_SUBSCRIBED)) return;
 
             // Skip if already has ANY netrot ratings
             if (card.querySelector('.netrot-hover-ratings, .netrot-detail-ratings')) return;
 
             // Skip if this is inside OR is a detail modal container (handled by scanDetailModals)
-            const detailSelectors = '.previewModal--container, [data-uia="preview-modal-container"]';
-            if (card.matches(detailSelectors) || card.closest(detailSelectors)) return;
-
-            const title = extractTitleFromModal(card);
-            const videoId = Utils.extractNetflixId(card);
-            const year = extractYearFromElement(card);
+            if (detailSelectors && (card.matches(detailSelectors) || card.closest(detailSelectors))) return;
 
-            if (title) {
-                card.setAttribute(NETROT_SUBSCRIBED, 'true');
-                injectWithSubscription(card, videoId, title, year, 'hover');
-            }
+            injectFound(card, 'hover');
         });
     }
 
+    /**
+     * Extract what the adapter can find and inject; elements without a title are left for a later scan
+     */
+    function injectFound(element, type) {
+        const title = site.extractTitle(element, type);
+        if (!title) return;
+
+        const videoId = site.extractId(element, type);
+        const year = site.extractYear(element, type);
+        const typeHint = site.extractTypeHint(element, type);
+
+        element.setAttribute(NETROT_SUBSCRIBED, 'true');
+        injectWithSubscription(element, videoId, title, year, type, typeHint);
+    }
+
     // =========================================================================
     // SUBSCRIPTION-BASED INJECTION
     // =========================================================================
@@ -136,12 +237,13 @@
     /**
      * Inject ratings UI with subscription to store updates
      * @param {Element} element - Target element
-     * @param {string|null} videoId - Netflix Video ID
+     * @param {string|null} videoId - Site video ID (Netflix IDs bare, other sites prefixed)
      * @param {string} title - Movie/show title
      * @param {string|null} year - Release year
      * @param {string} type - 'card', 'hover', or 'detail'
+     * @param {string|null} typeHint - 'movie' or 'series' if the DOM tells us
      */
-    function injectWithSubscription(element, videoId, title, year, type) {
+    function injectWithSubscription(element, videoId, title, year, type, typeHint = null) {
         // GLOBAL GUARD: Check if element already has any rating container
         if (element.querySelector('.netrot-card-badge, .netrot-hover-ratings, .netrot-detail-ratings')) {
             return;
@@ -155,45 +257,53 @@
         const attached = attachContainer(element, container, type);
         if (!attached) return;  // Failed to attach, don't subscribe
 
+        // Detail view: allow correcting the match (needs a Netflix ID to pin)
+        if (type === 'detail' && videoId) {
+            container.correctable = true;
+            container.addEventListener('netrot-wrong-match', () => {
+                toggleMatchPicker(container, videoId, title, year);
+            });
+        }
+
         // Get cache key for subscription
         const key = ratingsStore.getKey(videoId, title, year);
 
-        // Subscribe to updates
+        if (type === 'detail') {
+            detailContexts.set(element, { videoId, title, year, key });
+        }
+
+        // Subscribe to updates (released with the element, see releaseElement)
         const unsubscribe = ratingsStore.subscribe(key, (data) => {
             updateContainer(container, data, type);
-        });
+            if (type === 'detail') {
+                injectEpisodeRatings(element, detailContexts.get(element), data);
+            }
+        }, { owner: element, onRelease: () => releaseElement(element) });
 
         // Store unsubscribe function for cleanup
         activeSubscriptions.set(element, unsubscribe);
+        liveContainers.set(element, { container, type, key });
+
+        // Browse cards stay placeholders until they come near the viewport
+        if (type === 'card') {
+            observeCard(element, { videoId, title, year, typeHint, key });
+            return;
+        }
 
         // Trigger fetch (will use cache if available)
         // Refresh strategy: Refresh for 'detail' and 'hover' views to ensure freshness
+        // Priority: the scheduler serves detail > hover > card
         const shouldRefresh = type === 'detail' || type === 'hover';
-        ratingsStore.get(videoId, title, year, shouldRefresh);
+        ratingsStore.get(videoId, title, year, shouldRefresh, typeHint, type);
     }
 
     /**
      * Create container element based on type
      */
     function createContainer(type) {
-        const container = document.createElement('div');
-
-        switch (type) {
-            case 'card':
-                container.className = 'netrot-card-badge netrot-loading';
-                break;
-            case 'hover':
-                container.className = 'netrot-hover-ratings netrot-loading';
-                break;
-            case 'detail':
-                container.className = 'netrot-detail-ratings netrot-loading';
-                break;
-            default:
-                return null;
-        }
-
-        // Add loading skeleton
-        container.innerHTML = '<span class="netrot-skeleton"></span>';
+        // Shadow DOM host (see components.js); shows a loading skeleton until data arrives
+        const container = Components.create(type);
+        if (container) container.settings = { ...userSettings };
         return container;
     }
 
@@ -208,50 +318,10 @@
             return false;
         }
 
-        switch (type) {
-            case 'card':
-                // Ensure parent is relative for absolute positioning
-                if (getComputedStyle(element).position === 'static') {
-                    element.style.position = 'relative';
-                }
-                element.appendChild(container);
-                return true;
-
-            case 'hover':
-                const metaArea = element.querySelector('.previewModal--tags, .previewModal--metadatAndControls-container, .evidence-list');
-                if (metaArea && metaArea.parentNode) {
-                    metaArea.parentNode.insertBefore(container, metaArea.nextSibling);
-                    return true;
-                } else {
-                    const infoSection = element.querySelector('.previewModal--info, .bob-overview');
-                    if (infoSection) {
-                        infoSection.appendChild(container);
-                        return true;
-                    }
-                }
-                container.remove();
-                return false;
-
-            case 'detail':
-                const synopsis = element.querySelector('.previewModal--text, .synopsis, .previewModal--synopsis');
-                if (synopsis && synopsis.parentNode) {
-                    synopsis.parentNode.insertBefore(container, synopsis);
-                    return true;
-                } else {
-                    const buttonRow = element.querySelector('.previewModal--metadatAndControls, .buttonControls');
-                    if (buttonRow) {
-                        buttonRow.parentNode.insertBefore(container, buttonRow.nextSibling);
-                        return true;
-                    } else {
-                        element.appendChild(container);
-                        return true;
-                    }
-                }
+        if (site.attach(element, container, type)) return true;
 
-            default:
-                container.remove();
-                return false;
-        }
+        container.remove();
+        return false;
     }
 
     /**
@@ -260,268 +330,455 @@
     function updateContainer(container, data, type) {
         if (!container || !container.isConnected) return;
 
-        // Use requestAnimationFrame for smooth updates
-        requestAnimationFrame(() => {
-            container.classList.remove('netrot-loading');
-            container.classList.add('netrot-loaded');
-
-            if (!shouldShow(data)) {
-                container.style.display = 'none';
-                return;
-            }
+        if (!shouldShow(data)) {
+            container.style.display = 'none';
+            return;
+        }
 
-            container.style.display = '';
-
-            switch (type) {
-                case 'card':
-                    container.innerHTML = buildBadgeHtml(data);
-                    break;
-                case 'hover':
-                    container.innerHTML = buildHoverRatingsHtml(data);
-                    break;
-                case 'detail':
-                    container.innerHTML = buildDetailCardsHtml(data);
-                    break;
-            }
-        });
+        container.style.display = '';
+        container.settings = { ...userSettings };
+        container.data = data;
     }
 
     // =========================================================================
-    // DATA EXTRACTION
+    // LAZY CARD FETCHING
     // =========================================================================
-    function extractTitle(element) {
-        // Priority 1: Netflix's internal title data attribute
-        const titleEl = element.querySelector('[data-uia="title-text"], .title-text');
-        if (titleEl) return cleanTitle(titleEl.textContent);
-
-        // Priority 2: aria-label (common on cards)
-        const ariaEl = element.querySelector('[aria-label], a[aria-label]');
-        if (ariaEl) return cleanTitle(ariaEl.getAttribute('aria-label'));
-
-        // Priority 3: Image alt text
-        const img = element.querySelector('img');
-        if (img && img.alt) return cleanTitle(img.alt);
-
-        // Priority 4: Fallback text elements
-        const textEl = element.querySelector('.fallback-text, .title-title, .boxart-title');
-        if (textEl) return cleanTitle(textEl.textContent);
-
-        return null;
-    }
-
-    function extractTitleFromModal(modal) {
-        // Priority 1: Boxart image in detail modal (most reliable for detail view)
-        // Try multiple selector variations to ensure we catch it
-        const boxartSelectors = [
-            '.previewModal--boxart img',
-            '.previewModal--poster img',
-            '[class*="boxart"] img',
-            '.ptrack-content img.boxart-image',
-            'img.previewModal--boxart',
-            'img[class*="boxart"]'
-        ];
-
-        for (const selector of boxartSelectors) {
-            const boxart = modal.querySelector(selector);
-            if (boxart && boxart.alt && boxart.alt.trim()) {
-                console.log('[NetRot] Found title from boxart:', boxart.alt);
-                return cleanTitle(boxart.alt);
-            }
+
+    // Visible cards are fetched one row (discovery.row in the profile) per batch
+    const ROW_BATCH_DELAY = 150;
+
+    // Subscribed browse cards -> { videoId, title, year, typeHint, key, visible, fetched }
+    const lazyCards = new Map();
+    const visibleQueue = new Set();
+    let lazyObserver = null;
+    const flushVisibleCards = debounce(flushVisibleQueue, 100);
+
+    function observeCard(element, context) {
+        if (userSettings.fetchMode === 'eager') {
+            fetchCard({ ...context, fetched: false });
+            return;
+        }
+
+        if (!lazyObserver) {
+            lazyObserver = new IntersectionObserver(onCardVisibility, { rootMargin: '200px 0px' });
         }
+        lazyCards.set(element, { ...context, visible: false, fetched: false });
+        lazyObserver.observe(element);
+    }
 
-        // Priority 2: Title treatment logo
-        const logo = modal.querySelector('.previewModal--player-titleTreatment-logo, img.logo');
-        if (logo && logo.alt) return cleanTitle(logo.alt);
+    function onCardVisibility(entries) {
+        entries.forEach((entry) => {
+            const card = entry.target;
+            const context = lazyCards.get(card);
+            if (!context) return;
 
-        // Priority 3: Section header
-        const header = modal.querySelector('.previewModal--section-header, h3, [data-uia="preview-modal-title"]');
-        if (header) return cleanTitle(header.textContent);
+            if (!card.isConnected) {
+                forgetCard(card);
+                return;
+            }
 
-        // Priority 4: Fallback to generic title extraction
-        return extractTitle(modal);
+            context.visible = entry.isIntersecting;
+            if (entry.isIntersecting) {
+                if (context.fetched) {
+                    ratingsStore.setPriority(context.key, 'card');
+                } else {
+                    visibleQueue.add(card);
+                }
+            } else {
+                visibleQueue.delete(card);
+                // Still queued in the background: let on-screen cards go first
+                if (context.fetched) ratingsStore.setPriority(context.key, 'prefetch');
+            }
+        });
+
+        if (visibleQueue.size > 0) flushVisibleCards();
     }
 
     /**
-     * Extract year from any element (modal, card, hover)
-     * Searches for year patterns in metadata areas
+     * Fetch queued cards in row-sized batches
      */
-    function extractYearFromElement(element) {
-        // Try specific year elements first
-        const yearEl = element.querySelector('.year, .duration, [data-uia="year"], .videoMetadata--year');
-        if (yearEl && /^\d{4}$/.test(yearEl.textContent.trim())) {
-            return yearEl.textContent.trim();
-        }
-
-        // Search in metadata area
-        const metaArea = element.querySelector('.previewModal--metadatAndControls, .meta, .evidence-list, .supplementalMessage');
-        if (metaArea) {
-            const match = metaArea.innerText.match(/\b(19|20)\d{2}\b/);
-            if (match) return match[0];
-        }
+    function flushVisibleQueue() {
+        const rows = new Map();
+        const rowSelector = SiteAdapters.selectorFor('row');
+        visibleQueue.forEach((card) => {
+            const row = (rowSelector && card.closest(rowSelector)) || document.body;
+            if (!rows.has(row)) rows.set(row, []);
+            rows.get(row).push(card);
+        });
+        visibleQueue.clear();
+
+        Array.from(rows.values()).forEach((cards, index) => {
+            setTimeout(() => {
+                cards.forEach((card) => {
+                    const context = lazyCards.get(card);
+                    // Skip cards that scrolled away while waiting for their batch
+                    if (!context || context.fetched || !context.visible || !card.isConnected) return;
+                    fetchCard(context);
+                });
+            }, index * ROW_BATCH_DELAY);
+        });
+    }
 
-        // Last resort: search entire element (limited depth)
-        const match = element.innerText?.substring(0, 500).match(/\b(19|20)\d{2}\b/);
-        return match ? match[0] : null;
+    function fetchCard(context) {
+        context.fetched = true;
+        ratingsStore.get(context.videoId, context.title, context.year, false, context.typeHint, 'card');
     }
 
-    // Alias for backward compatibility
-    const extractYearFromModal = extractYearFromElement;
+    function forgetCard(card) {
+        lazyCards.delete(card);
+        visibleQueue.delete(card);
+        lazyObserver?.unobserve(card);
+    }
 
-    function cleanTitle(title) {
-        if (!title) return null;
-        return title
-            .replace(/Netflix/i, '')
-            .replace(/^Watch\s+/i, '')
-            // Don't split on colon - keeps full series titles like "Stranger Things: Season 4"
-            .trim();
+    /**
+     * Switching to eager mode fetches every card still waiting
+     */
+    function fetchPendingCards() {
+        lazyCards.forEach((context, card) => {
+            if (!card.isConnected) {
+                forgetCard(card);
+            } else if (!context.fetched) {
+                fetchCard(context);
+            }
+        });
     }
 
     // =========================================================================
-    // UI HELPERS
+    // EPISODE RATINGS
     // =========================================================================
-    function shouldShow(data) {
-        // Show if at least one rating source is enabled
-        // Data with error status still shows N/A values
-        return userSettings.showImdb || userSettings.showRotten || userSettings.showMetacritic;
+
+    /**
+     * Re-apply episode ratings to open detail modals (runs on every DOM scan,
+     * which also catches season switches in the episode selector)
+     */
+    function scanEpisodeLists(root) {
+        findInSubtree(root, `[${NETROT_SUBSCRIBED}="true"]`).forEach(modal => {
+            const context = detailContexts.get(modal);
+            if (!context) return;
+
+            const data = ratingsStore.cache.get(context.key);
+            if (data) injectEpisodeRatings(modal, context, data);
+        });
     }
 
     /**
-     * Get rating value from normalized data structure
+     * Show per-episode IMDb scores and the season average in a series' episode list
      */
-    function getRating(data, source) {
-        // Try new normalized structure first
-        if (data.ratings) {
-            switch (source) {
-                case 'imdb':
-                    return data.ratings.imdb?.score || null;
-                case 'rt':
-                    return data.ratings.rottenTomatoes?.score || null;
-                case 'meta':
-                    return data.ratings.metacritic?.score || null;
-            }
+    function injectEpisodeRatings(modal, context, data) {
+        if (!context || !userSettings.showImdb) return;
+        if (data.type !== 'series' || !data.imdbId) return;
+
+        const episodes = SiteAdapters.profile.episodes;
+        if (!episodes) return;
+        const selector = SiteAdapters.query(modal, episodes.list);
+        if (!selector) return;
+
+        const season = extractSelectedSeason(selector);
+        const cachedSeason = data.seasons?.[season];
+        if (cachedSeason) {
+            renderSeasonRatings(selector, cachedSeason);
+            return;
         }
 
-        // Fall back to legacy structure
-        switch (source) {
-            case 'imdb':
-                return data.imdbRating !== 'N/A' ? data.imdbRating : null;
-            case 'rt':
-                const rt = data.Ratings?.find(r => r.Source === 'Rotten Tomatoes');
-                return rt?.Value || null;
-            case 'meta':
-                return data.metascore !== 'N/A' ? data.metascore : null;
-        }
+        // One request per season per modal, even if it fails
+        const requested = (selector.getAttribute('netrot-seasons') || '').split(',');
+        if (requested.includes(String(season))) return;
+        selector.setAttribute('netrot-seasons', [...requested.filter(Boolean), season].join(','));
+
+        ratingsStore.getSeason(context.videoId, context.title, context.year, season).then((seasonData) => {
+            // The user may have switched seasons while we were fetching
+            if (seasonData && selector.isConnected && extractSelectedSeason(selector) === season) {
+                renderSeasonRatings(selector, seasonData);
+            }
+        });
+    }
 
-        return null;
+    /**
+     * Season currently shown in the episode selector (defaults to 1 for single-season shows)
+     */
+    function extractSelectedSeason(selector) {
+        const header = SiteAdapters.query(selector, SiteAdapters.profile.episodes.season);
+        const match = header?.textContent.match(/Season\s+(\d+)/i);
+        return match ? parseInt(match[1], 10) : 1;
     }
 
-    // =========================================================================
-    // HTML BUILDERS
-    // =========================================================================
-    function buildBadgeHtml(data) {
-        let items = [];
+    function renderSeasonRatings(selector, seasonData) {
+        const rows = SiteAdapters.queryAll(selector, SiteAdapters.profile.episodes.row);
 
-        if (userSettings.showImdb) {
-            const score = getRating(data, 'imdb');
-            if (score) {
-                items.push(`<span class="netrot-badge-item netrot-imdb"><span class="netrot-badge-icon">★</span><span class="netrot-badge-score">${score}</span><span class="netrot-badge-label">IMDb</span></span>`);
-            }
-        }
+        rows.forEach(row => {
+            const number = parseInt(SiteAdapters.query(row, SiteAdapters.profile.episodes.number)?.textContent, 10);
+            const episode = seasonData.episodes.find(ep => ep.episode === number);
+            let badge = row.querySelector('.netrot-episode-rating');
 
-        if (userSettings.showRotten) {
-            const score = getRating(data, 'rt');
-            if (score) {
-                items.push(`<span class="netrot-badge-item netrot-rt"><span class="netrot-badge-icon">🍅</span><span class="netrot-badge-score">${score}</span><span class="netrot-badge-label">RT</span></span>`);
+            if (!episode || !episode.rating) {
+                badge?.remove();
+                return;
             }
-        }
 
-        if (userSettings.showMetacritic) {
-            const score = getRating(data, 'meta');
-            if (score) {
-                items.push(`<span class="netrot-badge-item netrot-meta"><span class="netrot-badge-icon">M</span><span class="netrot-badge-score">${score}</span><span class="netrot-badge-label">Meta</span></span>`);
+            if (!badge) {
+                badge = document.createElement('span');
+                badge.className = 'netrot-episode-rating';
+                (SiteAdapters.query(row, SiteAdapters.profile.episodes.rowTitle) || row).appendChild(badge);
             }
-        }
+            setTextIfChanged(badge, `★ ${episode.rating}`);
+        });
 
-        // If no ratings available, show a subtle indicator
-        if (items.length === 0) {
-            return '<span class="netrot-badge-item netrot-no-data"><span class="netrot-badge-score">—</span></span>';
+        const header = SiteAdapters.query(selector, SiteAdapters.profile.episodes.header);
+        if (!header) return;
+
+        let average = header.querySelector('.netrot-season-average');
+        if (!seasonData.average) {
+            average?.remove();
+            return;
         }
+        if (!average) {
+            average = document.createElement('span');
+            average.className = 'netrot-season-average';
+            header.appendChild(average);
+        }
+        setTextIfChanged(average, `Season ${seasonData.season} avg ★ ${seasonData.average}`);
+    }
 
-        return items.join('');
+    /**
+     * Only touch the DOM when text differs - identical writes still trigger our MutationObserver
+     */
+    function setTextIfChanged(element, text) {
+        if (element.textContent !== text) element.textContent = text;
     }
 
-    function buildHoverRatingsHtml(data) {
-        let items = [];
+    // =========================================================================
+    // PLAYER OVERLAY
+    // =========================================================================
 
-        if (userSettings.showImdb) {
-            const score = getRating(data, 'imdb');
-            if (score) {
-                items.push(`<span class="netrot-hover-item netrot-imdb">★ ${score} <small>IMDb</small></span>`);
-            }
-        }
-        if (userSettings.showRotten) {
-            const score = getRating(data, 'rt');
-            if (score) {
-                items.push(`<span class="netrot-hover-item netrot-rt">🍅 ${score} <small>RT</small></span>`);
-            }
-        }
-        if (userSettings.showMetacritic) {
-            const score = getRating(data, 'meta');
-            if (score) {
-                items.push(`<span class="netrot-hover-item netrot-meta">M ${score} <small>Meta</small></span>`);
-            }
-        }
+    // The /watch page we are attached to: { videoId, video, overlay, onPlayback, key, unsubscribe, seasonRequested }
+    let player = null;
+
+    /**
+     * Attach to the player page (Netflix: /watch/:id) and detach when leaving it. Runs on every
+     * mutation batch, since sites switch pages (and autoplay the next episode) without reloading.
+     */
+    function checkPlayerPage() {
+        const videoId = site.player ? site.player.videoId(location) : null;
+        const enabled = videoId && userSettings.playerOverlay !== 'off';
 
-        // If no ratings, show minimal indicator
-        if (items.length === 0) {
-            items.push('<span class="netrot-hover-item netrot-no-data">No ratings</span>');
+        if (player && (!enabled || player.videoId !== videoId || !player.video.isConnected || !player.overlay.isConnected)) {
+            leavePlayer();
         }
+        if (player || !enabled) return;
 
-        return `<div class="netrot-hover-row">${items.join('')}</div>`;
+        const video = document.querySelector('video');
+        if (video) enterPlayer(videoId, video);
     }
 
-    function buildDetailCardsHtml(data) {
-        let cards = [];
+    function enterPlayer(videoId, video) {
+        const overlay = createContainer('player');
+        overlay.hidden = true;
+        site.player.container(video).appendChild(overlay);
 
-        if (userSettings.showImdb) {
-            const score = getRating(data, 'imdb');
-            if (score) {
-                cards.push(createCard('IMDb', score, '★', 'netrot-imdb-card'));
-            }
-        }
+        player = { videoId, video, overlay, key: null, unsubscribe: null, seasonRequested: false };
+        player.onPlayback = () => updatePlayerOverlay();
+        video.addEventListener('pause', player.onPlayback);
+        video.addEventListener('play', player.onPlayback);
 
-        if (userSettings.showRotten) {
-            const score = getRating(data, 'rt');
-            if (score) {
-                cards.push(createCard('Rotten Tomatoes', score, '🍅', 'netrot-rt-card'));
-            }
-        }
+        updatePlayerOverlay();
+    }
 
-        if (userSettings.showMetacritic) {
-            const score = getRating(data, 'meta');
-            if (score) {
-                cards.push(createCard('Metacritic', score, 'M', 'netrot-meta-card'));
-            }
+    function leavePlayer() {
+        player.video.removeEventListener('pause', player.onPlayback);
+        player.video.removeEventListener('play', player.onPlayback);
+        player.unsubscribe?.();
+        liveContainers.delete(player.overlay);
+        player.overlay.remove();
+        player = null;
+    }
+
+    /**
+     * Show the panel while paused (or all the time), loading ratings the first time it shows
+     */
+    function updatePlayerOverlay() {
+        const visible = userSettings.playerOverlay === 'always' || player.video.paused;
+        player.overlay.hidden = !visible;
+        if (visible) loadPlayerRatings();
+    }
+
+    function loadPlayerRatings() {
+        if (player.key) return;
+
+        const { title, season, episode } = site.player.extractTitle();
+        // Titles seen while browsing are cached under their ID, but a first lookup needs the name.
+        // The player shows it along with its controls when paused; try again on the next pause.
+        if (!title) return;
+
+        // Episodes play under their own ID, so the series is looked up by its title
+        const videoId = episode ? null : player.videoId;
+        const key = ratingsStore.getKey(videoId, title);
+        const current = player;
+
+        current.key = key;
+        current.unsubscribe = ratingsStore.subscribe(key, (data) => {
+            updateContainer(current.overlay, data, 'player');
+            if (episode) loadEpisodeRating(current, data, title, season, episode);
+        }, { owner: current.overlay });
+        liveContainers.set(current.overlay, { container: current.overlay, type: 'player', key });
+
+        ratingsStore.get(videoId, title, null, false, episode ? 'series' : null, 'detail');
+    }
+
+    /**
+     * Put the playing episode's IMDb score in the panel (one season request per player session)
+     */
+    function loadEpisodeRating(current, data, title, season, episode) {
+        if (current.seasonRequested || data.type !== 'series' || !data.imdbId) return;
+        current.seasonRequested = true;
+
+        ratingsStore.getSeason(null, title, null, season).then((seasonData) => {
+            const match = seasonData?.episodes.find(ep => ep.episode === episode);
+            if (!match || player !== current) return;
+            current.overlay.episode = { season, episode, title: match.title, rating: match.rating };
+        });
+    }
+
+    // =========================================================================
+    // SELECTOR HEALTH
+    // =========================================================================
+
+    // Page types of the profile's "checks" that find nothing for this long are reported as broken
+    const HEALTH_STALE_MS = 60 * 1000;
+    const HEALTH_REPORT_INTERVAL = 30 * 1000;
+
+    // Current page type: { name, group, since, hitsAtEntry }; last report sent (to skip repeats)
+    const health = { path: null, check: null, lastReport: null };
+
+    /**
+     * Note which profile check (if any) applies whenever the path changes
+     */
+    function trackPageCheck() {
+        if (location.pathname === health.path) return;
+        health.path = location.pathname;
+
+        const checks = SiteAdapters.profile.checks || {};
+        const name = Object.keys(checks).find(key => new RegExp(checks[key].path).test(location.pathname));
+        if (!name) {
+            health.check = null;
+            return;
         }
 
-        // Show message if no ratings available
-        if (cards.length === 0) {
-            cards.push('<div class="netrot-no-ratings">No ratings available</div>');
+        const group = `discovery.${checks[name].expect}`;
+        health.check = { name, group, since: Date.now(), hitsAtEntry: SiteAdapters.groupHits(group) };
+    }
+
+    /**
+     * Send hit counts and whether the current page type found anything to the background
+     * (shown in the popup and the options page)
+     */
+    function reportSelectorHealth() {
+        if (document.hidden) return;
+        trackPageCheck();
+
+        const check = health.check;
+        const report = {
+            site: site.id,
+            version: SiteAdapters.profile.version,
+            source: SiteAdapters.profileSource,
+            page: check ? check.name : null,
+            broken: !!check &&
+                SiteAdapters.groupHits(check.group) === check.hitsAtEntry &&
+                Date.now() - check.since >= HEALTH_STALE_MS,
+            hits: SiteAdapters.hits
+        };
+
+        const serialized = JSON.stringify(report);
+        if (serialized === health.lastReport) return;
+        health.lastReport = serialized;
+
+        chrome.runtime.sendMessage({ type: 'REPORT_SELECTOR_HEALTH', ...report }, () => {
+            // Background asleep or extension reloaded: the next report retries
+            void chrome.runtime.lastError;
+        });
+    }
+
+    // =========================================================================
+    // MATCH CORRECTION
+    // =========================================================================
+
+    /**
+     * Open (or close) the candidate list below a detail container.
+     * Picking a candidate pins videoId -> imdbID in the background.
+     */
+    function toggleMatchPicker(container, videoId, title, year) {
+        const existing = container.nextElementSibling;
+        if (existing && existing.classList.contains('netrot-match-picker')) {
+            existing.remove();
+            return;
         }
 
-        return `<div class="netrot-ratings-row">${cards.join('')}</div>`;
+        const picker = document.createElement('div');
+        picker.className = 'netrot-match-picker';
+        // Keep clicks away from Netflix's modal handlers
+        picker.addEventListener('click', (e) => e.stopPropagation());
+
+        const header = document.createElement('div');
+        header.className = 'netrot-match-header';
+        header.textContent = `Pick the correct title for "${title}"`;
+
+        const status = document.createElement('div');
+        status.className = 'netrot-match-status';
+        status.textContent = 'Searching…';
+
+        const list = document.createElement('ul');
+        list.className = 'netrot-match-list';
+
+        const cancel = document.createElement('button');
+        cancel.type = 'button';
+        cancel.className = 'netrot-match-cancel';
+        cancel.textContent = 'Cancel';
+        cancel.addEventListener('click', () => picker.remove());
+
+        picker.append(header, status, list, cancel);
+        container.after(picker);
+
+        ratingsStore.searchCandidates(title, year)
+            .then((candidates) => {
+                status.textContent = candidates.length ? '' : 'No candidates found';
+
+                candidates.forEach((candidate) => {
+                    const item = document.createElement('li');
+                    const button = document.createElement('button');
+                    button.type = 'button';
+                    button.className = 'netrot-match-option';
+
+                    const name = document.createElement('span');
+                    name.textContent = `${candidate.title} (${candidate.year})`;
+
+                    const meta = document.createElement('small');
+                    meta.textContent = `${candidate.type} · ${candidate.imdbId}`;
+
+                    button.append(name, meta);
+                    button.addEventListener('click', () => {
+                        status.textContent = 'Saving…';
+                        ratingsStore.pinMatch(videoId, candidate.imdbId, title, year)
+                            .then(() => picker.remove())
+                            .catch((err) => {
+                                status.textContent = `Could not pin: ${err.message}`;
+                            });
+                    });
+
+                    item.appendChild(button);
+                    list.appendChild(item);
+                });
+            })
+            .catch((err) => {
+                status.textContent = `Search failed: ${err.message}`;
+            });
     }
 
-    function createCard(source, score, icon, className) {
-        return `
-            <div class="netrot-rating-card ${className}">
-                <div class="netrot-card-icon">${icon}</div>
-                <div class="netrot-card-content">
-                    <div class="netrot-card-score">${score}</div>
-                    <div class="netrot-card-source">${source}</div>
-                </div>
-            </div>
-        `;
+    // =========================================================================
+    // UI HELPERS
+    // =========================================================================
+    function shouldShow(data) {
+        // Show if at least one rating source is enabled
+        // Data with error status still shows N/A values
+        return userSettings.showImdb || userSettings.showRotten || userSettings.showMetacritic;
     }
 
     // =========================================================================
@@ -536,55 +793,82 @@
     }
 
     function syncSettings() {
-        chrome.storage.local.get(['showImdb', 'showRotten', 'showMetacritic'], (items) => {
-            if (items) {
-                userSettings = { ...userSettings, ...items };
+        chrome.storage.local.get(Object.keys(userSettings), (items) => {
+            if (items) applySettings(items);
+        });
+    }
+
+    /**
+     * Apply changed settings. Display changes re-render what is on screen from the
+     * RatingsStore cache; nothing is re-fetched or rescanned.
+     * @param {Object} items - Setting values (undefined = back to default)
+     */
+    function applySettings(items) {
+        const changed = Object.keys(items).filter(key => key in userSettings && items[key] !== userSettings[key]);
+        if (changed.length === 0) return;
+
+        changed.forEach((key) => {
+            userSettings[key] = items[key] ?? DEFAULT_SETTINGS[key];
+        });
+
+        if (changed.some(key => DISPLAY_SETTINGS.includes(key))) rerenderAll();
+        if (changed.includes('fetchMode') && userSettings.fetchMode === 'eager') fetchPendingCards();
+        // Before init (profile still loading) the first scan picks the player up anyway
+        if (changed.includes('playerOverlay') && observer) {
+            checkPlayerPage();
+            if (player) updatePlayerOverlay();
+        }
+    }
+
+    function rerenderAll() {
+        liveContainers.forEach(({ container, type, key }, element) => {
+            if (!element.isConnected) {
+                liveContainers.delete(element);
+                return;
+            }
+
+            const data = ratingsStore.cache.get(key);
+            if (!data) return;
+
+            updateContainer(container, data, type);
+            if (type === 'detail') {
+                if (userSettings.showImdb) {
+                    injectEpisodeRatings(element, detailContexts.get(element), data);
+                } else {
+                    element.querySelectorAll('.netrot-episode-rating, .netrot-season-average').forEach(el => el.remove());
+                }
             }
         });
     }
 
-    // Listen for settings changes
+    // Listen for settings changes (other local keys, e.g. key usage or pins, are ignored)
     chrome.storage.onChanged.addListener((changes, namespace) => {
-        if (namespace === 'local') {
-            syncSettings();
-            // Re-scan to apply new settings
-            scanAndInject();
-        }
+        if (namespace !== 'local') return;
+
+        const items = {};
+        Object.keys(changes)
+            .filter(key => key in userSettings)
+            .forEach((key) => {
+                items[key] = changes[key].newValue;
+            });
+        applySettings(items);
     });
 
     // =========================================================================
-    // CLEANUP (for SPA navigation)
+    // START
     // =========================================================================
-    function cleanup() {
-        // Clean up subscriptions when elements are removed
-        const cleanupObserver = new MutationObserver((mutations) => {
-            mutations.forEach((mutation) => {
-                mutation.removedNodes.forEach((node) => {
-                    if (node.nodeType === Node.ELEMENT_NODE) {
-                        const unsubscribe = activeSubscriptions.get(node);
-                        if (unsubscribe) {
-                            unsubscribe();
-                            activeSubscriptions.delete(node);
-                        }
-                    }
-                });
-            });
-        });
 
-        cleanupObserver.observe(document.body, { childList: true, subtree: true });
+    // Selectors come from the profile, so nothing is scanned before it has loaded
+    function start() {
+        SiteAdapters.loadProfile(site)
+            .then(init)
+            .catch(err => console.error('[NetRot] Could not load selector profile:', err));
     }
 
-    // =========================================================================
-    // START
-    // =========================================================================
     if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', () => {
-            init();
-            cleanup();
-        });
+        document.addEventListener('DOMContentLoaded', start);
     } else {
-        init();
-        cleanup();
+        start();
     }
 
 })();
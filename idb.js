@@ -0,0 +1,50 @@
+/**
+ * NetRot IndexedDB Helpers
+ * Minimal promise wrappers shared by the service worker (importScripts) and extension pages.
+ */
+
+const Idb = {
+    /**
+     * Open (and upgrade if needed) a database
+     * @param {string} name - Database name
+     * @param {number} version - Schema version
+     * @param {function(IDBDatabase, number, IDBTransaction)} upgrade - Called with (db, oldVersion, transaction)
+     * @returns {Promise<IDBDatabase>}
+     */
+    open: (name, version, upgrade) => {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(name, version);
+            request.onupgradeneeded = (event) => {
+                upgrade(request.result, event.oldVersion, request.transaction);
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error(`Database "${name}" upgrade blocked by another tab`));
+        });
+    },
+
+    /**
+     * Wrap a single IDBRequest
+     * @param {IDBRequest} request
+     * @returns {Promise<any>} Request result
+     */
+    request: (request) => {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    /**
+     * Resolve when a transaction commits
+     * @param {IDBTransaction} transaction
+     * @returns {Promise<void>}
+     */
+    done: (transaction) => {
+        return new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+        });
+    }
+};
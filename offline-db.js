@@ -0,0 +1,277 @@
+/**
+ * NetRot Offline Ratings Database
+ * Local index of IMDb's public datasets (title.basics.tsv, title.ratings.tsv) in IndexedDB.
+ * Imported from the options page, queried by the background's offline provider.
+ * Requires idb.js.
+ */
+
+class OfflineRatingsDb {
+    constructor() {
+        this.DB_NAME = 'netrot-offline';
+        this.DB_VERSION = 1;
+        this.BATCH_SIZE = 5000;
+
+        // Dataset title types we keep (episodes, shorts, games etc. are skipped)
+        this.TITLE_TYPES = {
+            movie: 'movie',
+            tvMovie: 'movie',
+            tvSpecial: 'movie',
+            tvSeries: 'series',
+            tvMiniSeries: 'series'
+        };
+
+        // Header lines identify which dataset a file contains
+        this.HEADERS = {
+            basics: 'tconst\ttitleType\tprimaryTitle\toriginalTitle\tisAdult\tstartYear\tendYear\truntimeMinutes\tgenres',
+            ratings: 'tconst\taverageRating\tnumVotes'
+        };
+
+        this.dbPromise = null;
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = Idb.open(this.DB_NAME, this.DB_VERSION, (db) => {
+                if (!db.objectStoreNames.contains('titles')) {
+                    const titles = db.createObjectStore('titles', { keyPath: 'tconst' });
+                    titles.createIndex('titleKeys', 'titleKeys', { multiEntry: true });
+                }
+                if (!db.objectStoreNames.contains('ratings')) {
+                    db.createObjectStore('ratings', { keyPath: 'tconst' });
+                }
+                if (!db.objectStoreNames.contains('meta')) {
+                    db.createObjectStore('meta', { keyPath: 'key' });
+                }
+            }).catch((e) => {
+                this.dbPromise = null;
+                throw e;
+            });
+        }
+        return this.dbPromise;
+    }
+
+    // =========================================================================
+    // QUERIES
+    // =========================================================================
+
+    /**
+     * Import status of both datasets
+     * @returns {Promise<{titles: Object|null, ratings: Object|null}>} Each: {count, importedAt, fileName}
+     */
+    async getStatus() {
+        const db = await this.open();
+        const tx = db.transaction('meta', 'readonly');
+        const [titles, ratings] = await Promise.all([
+            Idb.request(tx.objectStore('meta').get('titles')),
+            Idb.request(tx.objectStore('meta').get('ratings'))
+        ]);
+        return { titles: titles || null, ratings: ratings || null };
+    }
+
+    /**
+     * Whether both datasets have been imported
+     */
+    async isReady() {
+        const status = await this.getStatus();
+        return !!(status.titles?.count && status.ratings?.count);
+    }
+
+    /**
+     * Find titles whose primary or original title normalizes to the same key
+     * @param {string} title - Title as shown on Netflix
+     * @returns {Promise<Object[]>} Title records ({tconst, title, type, startYear, endYear})
+     */
+    async findByTitle(title) {
+        const keys = [...new Set([
+            this.titleKey(title),
+            this.titleKey(title.replace(/\s*\(.*?\)\s*/g, ' '))
+        ])].filter(Boolean);
+
+        const db = await this.open();
+        const index = db.transaction('titles', 'readonly').objectStore('titles').index('titleKeys');
+
+        const results = new Map();
+        for (const key of keys) {
+            for (const record of await Idb.request(index.getAll(key, 50))) {
+                results.set(record.tconst, record);
+            }
+        }
+        return [...results.values()];
+    }
+
+    /**
+     * Get a title joined with its rating
+     * @param {string} tconst - IMDb ID
+     * @returns {Promise<Object|null>} {tconst, title, type, startYear, endYear, rating, votes}
+     */
+    async getTitle(tconst) {
+        const db = await this.open();
+        const tx = db.transaction(['titles', 'ratings'], 'readonly');
+        const [title, rating] = await Promise.all([
+            Idb.request(tx.objectStore('titles').get(tconst)),
+            Idb.request(tx.objectStore('ratings').get(tconst))
+        ]);
+
+        if (!title) return null;
+        return { ...title, rating: rating?.rating ?? null, votes: rating?.votes ?? null };
+    }
+
+    /**
+     * Same normalization as the cache keys (lowercase alphanumerics only)
+     */
+    titleKey(title) {
+        return (title || '').toLowerCase().trim().replace(/[^a-z0-9]/g, '');
+    }
+
+    // =========================================================================
+    // IMPORT
+    // =========================================================================
+
+    /**
+     * Import a dataset file (plain or gzipped TSV). The dataset is detected from its header line
+     * and replaces any previous import of the same dataset.
+     * @param {File|Blob} file - title.basics.tsv(.gz) or title.ratings.tsv(.gz)
+     * @param {function(Object)} onProgress - Called with {dataset, rows, kept}
+     * @returns {Promise<{dataset: string, rows: number, kept: number}>}
+     */
+    async importFile(file, onProgress = () => { }) {
+        const lines = this.readLines(await this.openTextStream(file));
+
+        const header = (await lines.next()).value?.trim();
+        const dataset = Object.keys(this.HEADERS).find(name => this.HEADERS[name] === header);
+        if (!dataset) {
+            throw new Error(`${file.name || 'File'} is not title.basics.tsv or title.ratings.tsv`);
+        }
+
+        const storeName = dataset === 'basics' ? 'titles' : 'ratings';
+        const parse = dataset === 'basics' ? this.parseBasicsRow.bind(this) : this.parseRatingsRow.bind(this);
+
+        const db = await this.open();
+        await this.clearStore(db, storeName);
+
+        let rows = 0;
+        let kept = 0;
+        let batch = [];
+
+        for await (const line of lines) {
+            if (!line) continue;
+            rows++;
+
+            const record = parse(line.split('\t'));
+            if (record) {
+                batch.push(record);
+                kept++;
+            }
+
+            if (batch.length >= this.BATCH_SIZE) {
+                await this.putBatch(db, storeName, batch);
+                batch = [];
+                onProgress({ dataset, rows, kept });
+            }
+        }
+
+        if (batch.length > 0) {
+            await this.putBatch(db, storeName, batch);
+        }
+
+        const tx = db.transaction('meta', 'readwrite');
+        tx.objectStore('meta').put({
+            key: storeName,
+            count: kept,
+            importedAt: Date.now(),
+            fileName: file.name || null
+        });
+        await Idb.done(tx);
+
+        onProgress({ dataset, rows, kept });
+        return { dataset, rows, kept };
+    }
+
+    /**
+     * Remove all imported data
+     */
+    async clear() {
+        const db = await this.open();
+        const tx = db.transaction(['titles', 'ratings', 'meta'], 'readwrite');
+        tx.objectStore('titles').clear();
+        tx.objectStore('ratings').clear();
+        tx.objectStore('meta').clear();
+        await Idb.done(tx);
+    }
+
+    parseBasicsRow(columns) {
+        const [tconst, titleType, primaryTitle, originalTitle, isAdult, startYear, endYear] = columns;
+
+        const type = this.TITLE_TYPES[titleType];
+        if (!type || isAdult === '1') return null;
+
+        return {
+            tconst,
+            type,
+            title: primaryTitle,
+            originalTitle: originalTitle !== primaryTitle ? originalTitle : null,
+            startYear: this.parseNullable(startYear),
+            endYear: this.parseNullable(endYear),
+            titleKeys: [...new Set([this.titleKey(primaryTitle), this.titleKey(originalTitle)])].filter(Boolean)
+        };
+    }
+
+    parseRatingsRow(columns) {
+        const [tconst, averageRating, numVotes] = columns;
+        if (!tconst || !averageRating) return null;
+
+        return {
+            tconst,
+            rating: averageRating,
+            votes: parseInt(numVotes, 10) || 0
+        };
+    }
+
+    /**
+     * IMDb datasets use \N for missing values
+     */
+    parseNullable(value) {
+        return value && value !== '\\N' ? value : null;
+    }
+
+    async openTextStream(file) {
+        // Gzip magic bytes: 1f 8b
+        const magic = new Uint8Array(await file.slice(0, 2).arrayBuffer());
+        let stream = file.stream();
+        if (magic[0] === 0x1f && magic[1] === 0x8b) {
+            stream = stream.pipeThrough(new DecompressionStream('gzip'));
+        }
+        return stream.pipeThrough(new TextDecoderStream());
+    }
+
+    async *readLines(stream) {
+        const reader = stream.getReader();
+        let buffer = '';
+
+        for (; ;) {
+            const { value, done } = await reader.read();
+            if (done) break;
+
+            buffer += value;
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+            yield* lines;
+        }
+
+        if (buffer) yield buffer;
+    }
+
+    async putBatch(db, storeName, records) {
+        const tx = db.transaction(storeName, 'readwrite');
+        const store = tx.objectStore(storeName);
+        records.forEach(record => store.put(record));
+        await Idb.done(tx);
+    }
+
+    async clearStore(db, storeName) {
+        const tx = db.transaction([storeName, 'meta'], 'readwrite');
+        tx.objectStore(storeName).clear();
+        tx.objectStore('meta').delete(storeName);
+        await Idb.done(tx);
+    }
+}
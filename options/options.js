@@ -0,0 +1,249 @@
+const offlineDb = new OfflineRatingsDb();
+
+document.addEventListener('DOMContentLoaded', () => {
+    restoreOptions();
+    loadDatasetStatus();
+    loadProfiles();
+});
+
+document.getElementById('offlineMode').addEventListener('change', saveOfflineMode);
+document.getElementById('importBtn').addEventListener('click', importDatasets);
+document.getElementById('clearBtn').addEventListener('click', clearDatasets);
+document.getElementById('loadProfileBtn').addEventListener('click', loadProfileFile);
+
+function restoreOptions() {
+    chrome.storage.local.get({ offlineMode: 'off' }, (items) => {
+        document.getElementById('offlineMode').value = items.offlineMode;
+    });
+}
+
+function saveOfflineMode() {
+    const offlineMode = document.getElementById('offlineMode').value;
+    chrome.storage.local.set({ offlineMode }, () => {
+        showStatus('Options saved.');
+    });
+}
+
+async function loadDatasetStatus() {
+    try {
+        const status = await offlineDb.getStatus();
+        document.getElementById('titlesStatus').textContent = formatDatasetStatus(status.titles);
+        document.getElementById('ratingsStatus').textContent = formatDatasetStatus(status.ratings);
+    } catch (e) {
+        console.error('Error reading offline database:', e);
+    }
+}
+
+function formatDatasetStatus(meta) {
+    if (!meta) return 'not imported';
+    return `${meta.count.toLocaleString()} (${new Date(meta.importedAt).toLocaleDateString()})`;
+}
+
+async function importDatasets() {
+    const files = Array.from(document.getElementById('datasetFiles').files);
+    if (files.length === 0) {
+        setProgress('Choose title.basics.tsv and/or title.ratings.tsv first.', true);
+        return;
+    }
+
+    const importBtn = document.getElementById('importBtn');
+    importBtn.disabled = true;
+
+    try {
+        for (const file of files) {
+            setProgress(`Reading ${file.name}...`);
+            const result = await offlineDb.importFile(file, ({ rows, kept }) => {
+                setProgress(`${file.name}: ${rows.toLocaleString()} rows read, ${kept.toLocaleString()} kept`);
+            });
+            setProgress(`${file.name}: imported ${result.kept.toLocaleString()} of ${result.rows.toLocaleString()} rows`);
+        }
+    } catch (e) {
+        console.error('Import failed:', e);
+        setProgress(`Import failed: ${e.message}`, true);
+    } finally {
+        importBtn.disabled = false;
+        loadDatasetStatus();
+        notifyDatasetsChanged();
+    }
+}
+
+async function clearDatasets() {
+    try {
+        await offlineDb.clear();
+        setProgress('');
+        showStatus('Imported data deleted.');
+    } catch (e) {
+        showStatus('Failed to delete imported data.');
+    }
+    loadDatasetStatus();
+    notifyDatasetsChanged();
+}
+
+/**
+ * The background caches whether datasets are imported
+ */
+function notifyDatasetsChanged() {
+    chrome.runtime.sendMessage({ type: 'OFFLINE_DATA_CHANGED' }, () => void chrome.runtime.lastError);
+}
+
+/**
+ * Profile version and source per site, with the latest selector hit counts
+ */
+function loadProfiles() {
+    chrome.runtime.sendMessage({ type: 'GET_SELECTOR_STATUS' }, (response) => {
+        if (chrome.runtime.lastError || !response?.success) {
+            console.error('Error loading selector profiles:', chrome.runtime.lastError || response?.error);
+            return;
+        }
+
+        const list = document.getElementById('profileList');
+        list.replaceChildren(...response.sites.map(renderProfile));
+    });
+}
+
+function renderProfile({ site, name, version, source, bundledVersion, overrideVersion, health }) {
+    const item = document.createElement('li');
+
+    const header = document.createElement('div');
+    header.className = 'profile-header';
+
+    const label = document.createElement('span');
+    label.textContent = `${name}: v${version} (${source === 'override' ? 'local' : 'bundled'})`;
+    header.appendChild(label);
+
+    if (overrideVersion !== null) {
+        const reset = document.createElement('button');
+        reset.className = 'secondary';
+        reset.textContent = source === 'override' ? 'Use bundled' : `Remove outdated v${overrideVersion}`;
+        reset.addEventListener('click', () => resetProfile(site));
+        header.appendChild(reset);
+    }
+    item.appendChild(header);
+
+    const broken = health ? Object.keys(health.pages).filter(page => health.pages[page].broken) : [];
+    if (broken.length > 0) {
+        const warning = document.createElement('div');
+        warning.className = 'profile-warning';
+        warning.textContent = `Nothing found on ${broken.join(', ')} pages (bundled v${bundledVersion})`;
+        item.appendChild(warning);
+    }
+
+    if (health && Object.keys(health.hits).length > 0) {
+        const details = document.createElement('details');
+        const summary = document.createElement('summary');
+        summary.textContent = `Selector hits (${new Date(health.reportedAt).toLocaleString()})`;
+        details.appendChild(summary);
+
+        const hits = document.createElement('ul');
+        Object.entries(health.hits).forEach(([group, counts]) => {
+            Object.entries(counts).forEach(([selector, count]) => {
+                const hit = document.createElement('li');
+                hit.classList.toggle('profile-miss', count === 0);
+                hit.textContent = `${group}  ${selector}  ${count}`;
+                hits.appendChild(hit);
+            });
+        });
+        details.appendChild(hits);
+        item.appendChild(details);
+    }
+
+    return item;
+}
+
+async function loadProfileFile() {
+    const file = document.getElementById('profileFile').files[0];
+    if (!file) {
+        setProfileStatus('Choose a profile .json file first.', true);
+        return;
+    }
+
+    let profile;
+    try {
+        profile = JSON.parse(await file.text());
+    } catch (e) {
+        setProfileStatus(`${file.name} is not valid JSON: ${e.message}`, true);
+        return;
+    }
+
+    // The background can't parse selectors (no DOM); a bad one would make the content script's queries throw
+    const invalid = findInvalidSelectors(profile);
+    if (invalid.length > 0) {
+        setProfileStatus(`Profile rejected: invalid selector${invalid.length > 1 ? 's' : ''} ${invalid.map(s => `"${s}"`).join(', ')}`, true);
+        return;
+    }
+
+    chrome.runtime.sendMessage({ type: 'SET_SELECTOR_PROFILE', profile }, (response) => {
+        if (chrome.runtime.lastError || !response?.success) {
+            setProfileStatus(`Profile rejected: ${response?.error || chrome.runtime.lastError?.message}`, true);
+            return;
+        }
+        setProfileStatus(response.active
+            ? `Loaded ${response.site} profile v${response.version}. Reload open tabs to use it.`
+            : `Saved ${response.site} profile v${response.version}, but the bundled profile is newer and stays in use.`);
+        loadProfiles();
+    });
+}
+
+// Profile sections holding selectors; under them every string is a selector except these keys
+const SELECTOR_SECTIONS = ['discovery', 'title', 'year', 'typeHint', 'attach', 'episodes', 'player'];
+const NON_SELECTOR_KEYS = ['attr', 'position'];
+
+/**
+ * @returns {string[]} Selectors in the profile that don't parse
+ */
+function findInvalidSelectors(profile) {
+    const invalid = [];
+    const probe = document.createDocumentFragment();
+
+    const walk = (value) => {
+        if (typeof value === 'string') {
+            try {
+                probe.querySelector(value);
+            } catch (e) {
+                invalid.push(value);
+            }
+        } else if (Array.isArray(value)) {
+            value.forEach(walk);
+        } else if (value && typeof value === 'object') {
+            Object.entries(value).forEach(([key, item]) => {
+                if (!NON_SELECTOR_KEYS.includes(key)) walk(item);
+            });
+        }
+    };
+
+    if (profile && typeof profile === 'object') {
+        SELECTOR_SECTIONS.forEach(section => walk(profile[section]));
+    }
+    return invalid;
+}
+
+function resetProfile(site) {
+    chrome.runtime.sendMessage({ type: 'RESET_SELECTOR_PROFILE', site }, (response) => {
+        if (chrome.runtime.lastError || !response?.success) {
+            setProfileStatus('Failed to remove the local profile.', true);
+            return;
+        }
+        setProfileStatus('Local profile removed. Reload open tabs to use the bundled one.');
+        loadProfiles();
+    });
+}
+
+function setProfileStatus(message, isError = false) {
+    const status = document.getElementById('profileStatus');
+    status.textContent = message;
+    status.classList.toggle('error', isError);
+}
+
+function setProgress(message, isError = false) {
+    const progress = document.getElementById('importProgress');
+    progress.textContent = message;
+    progress.classList.toggle('error', isError);
+}
+
+function showStatus(message) {
+    const status = document.getElementById('status');
+    status.textContent = message;
+    setTimeout(() => {
+        status.textContent = '';
+    }, 3000);
+}
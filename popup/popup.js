@@ -1,42 +1,99 @@
 document.addEventListener('DOMContentLoaded', () => {
     restoreOptions();
     loadCacheStats();
+    loadKeyUsage();
+    loadPins();
+    loadSelectorWarning();
 });
 
 document.getElementById('saveBtn').addEventListener('click', saveOptions);
 document.getElementById('clearCache').addEventListener('click', clearCache);
+document.getElementById('compactCache').addEventListener('click', compactCache);
+document.getElementById('openOptions').addEventListener('click', (e) => {
+    e.preventDefault();
+    chrome.runtime.openOptionsPage();
+});
 
 function saveOptions() {
-    const apiKey = document.getElementById('apiKey').value;
+    const apiKeys = document.getElementById('apiKeys').value
+        .split(/[\s,]+/)
+        .map(key => key.trim())
+        .filter(Boolean);
+    const dailyQuota = parseInt(document.getElementById('dailyQuota').value, 10) || 1000;
     const showImdb = document.getElementById('showImdb').checked;
     const showRotten = document.getElementById('showRotten').checked;
     const showMetacritic = document.getElementById('showMetacritic').checked;
+    const showDetailFacts = document.getElementById('showDetailFacts').checked;
+    const showDetailCredits = document.getElementById('showDetailCredits').checked;
+    const showDetailAwards = document.getElementById('showDetailAwards').checked;
+    const showDetailPlot = document.getElementById('showDetailPlot').checked;
     const debugMode = document.getElementById('debugMode').checked;
+    const fetchMode = document.getElementById('fetchMode').value;
+    const playerOverlay = document.getElementById('playerOverlay').value;
+    const cacheMaxEntries = parseInt(document.getElementById('cacheMaxEntries').value, 10) || 5000;
+    const cacheMaxMB = parseInt(document.getElementById('cacheMaxMB').value, 10) || 10;
+    const refreshAllowance = parseInt(document.getElementById('refreshDailyAllowance').value, 10);
 
     chrome.storage.local.set({
-        omdbApiKey: apiKey,
+        omdbApiKeys: apiKeys,
+        omdbApiKey: apiKeys[0] || '', // Legacy single-key setting
+        omdbDailyQuota: dailyQuota,
         showImdb: showImdb,
         showRotten: showRotten,
         showMetacritic: showMetacritic,
-        debugMode: debugMode
+        showDetailFacts: showDetailFacts,
+        showDetailCredits: showDetailCredits,
+        showDetailAwards: showDetailAwards,
+        showDetailPlot: showDetailPlot,
+        debugMode: debugMode,
+        fetchMode: fetchMode,
+        playerOverlay: playerOverlay,
+        cacheMaxEntries: cacheMaxEntries,
+        cacheMaxMB: cacheMaxMB,
+        refreshDailyAllowance: Number.isNaN(refreshAllowance) ? 100 : Math.max(refreshAllowance, 0)
     }, () => {
         showStatus('Options saved.');
+        loadKeyUsage();
     });
 }
 
 function restoreOptions() {
     chrome.storage.local.get({
+        omdbApiKeys: [],
         omdbApiKey: '',
+        omdbDailyQuota: 1000,
         showImdb: true,
         showRotten: true,
         showMetacritic: true,
-        debugMode: false
+        showDetailFacts: true,
+        showDetailCredits: true,
+        showDetailAwards: true,
+        showDetailPlot: false,
+        debugMode: false,
+        fetchMode: 'visible',
+        playerOverlay: 'paused',
+        cacheMaxEntries: 5000,
+        cacheMaxMB: 10,
+        refreshDailyAllowance: 100
     }, (items) => {
-        document.getElementById('apiKey').value = items.omdbApiKey;
+        const apiKeys = items.omdbApiKeys.length > 0
+            ? items.omdbApiKeys
+            : (items.omdbApiKey ? [items.omdbApiKey] : []);
+        document.getElementById('apiKeys').value = apiKeys.join('\n');
+        document.getElementById('dailyQuota').value = items.omdbDailyQuota;
         document.getElementById('showImdb').checked = items.showImdb;
         document.getElementById('showRotten').checked = items.showRotten;
         document.getElementById('showMetacritic').checked = items.showMetacritic;
+        document.getElementById('showDetailFacts').checked = items.showDetailFacts;
+        document.getElementById('showDetailCredits').checked = items.showDetailCredits;
+        document.getElementById('showDetailAwards').checked = items.showDetailAwards;
+        document.getElementById('showDetailPlot').checked = items.showDetailPlot;
         document.getElementById('debugMode').checked = items.debugMode;
+        document.getElementById('fetchMode').value = items.fetchMode;
+        document.getElementById('playerOverlay').value = items.playerOverlay;
+        document.getElementById('cacheMaxEntries').value = items.cacheMaxEntries;
+        document.getElementById('cacheMaxMB').value = items.cacheMaxMB;
+        document.getElementById('refreshDailyAllowance').value = items.refreshDailyAllowance;
     });
 }
 
@@ -51,10 +108,170 @@ function loadCacheStats() {
             document.getElementById('memoryCount').textContent = response.stats.memorySize || 0;
             document.getElementById('storageCount').textContent = response.stats.storageSize || 0;
             document.getElementById('pendingCount').textContent = response.stats.pendingRequests || 0;
+
+            const scheduler = response.stats.scheduler;
+            if (scheduler) {
+                const queued = document.getElementById('queuedCount');
+                queued.textContent = scheduler.queued;
+                queued.title = Object.entries(scheduler.byPriority).map(([p, n]) => `${p}: ${n}`).join(', ') +
+                    ` | avg wait ${scheduler.avgWaitMs} ms, max ${scheduler.maxWaitMs} ms`;
+            }
         }
     });
 }
 
+function loadKeyUsage() {
+    chrome.runtime.sendMessage({ type: 'GET_KEY_USAGE' }, (response) => {
+        if (chrome.runtime.lastError) {
+            console.error('Error getting key usage:', chrome.runtime.lastError);
+            return;
+        }
+
+        if (!response || !response.success || !response.usage) return;
+
+        const list = document.getElementById('keyUsage');
+        list.textContent = '';
+
+        const { keys, quota } = response.usage;
+        if (keys.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'key-usage-empty';
+            empty.textContent = 'No keys configured';
+            list.appendChild(empty);
+            return;
+        }
+
+        keys.forEach((entry) => {
+            const item = document.createElement('li');
+            item.className = `key-${entry.status}`;
+
+            const name = document.createElement('span');
+            name.className = 'key-name';
+            name.textContent = entry.key;
+
+            const count = document.createElement('span');
+            count.className = 'key-count';
+            count.textContent = entry.status === 'invalid'
+                ? 'invalid key'
+                : `${entry.count} / ${quota}${entry.status === 'exhausted' ? ' (limit reached)' : ''}`;
+
+            item.append(name, count);
+            list.appendChild(item);
+        });
+    });
+}
+
+function loadPins() {
+    chrome.runtime.sendMessage({ type: 'GET_PINS' }, (response) => {
+        if (chrome.runtime.lastError) {
+            console.error('Error getting pins:', chrome.runtime.lastError);
+            return;
+        }
+
+        if (!response || !response.success) return;
+
+        const list = document.getElementById('pinList');
+        list.textContent = '';
+
+        if (response.pins.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'pin-empty';
+            empty.textContent = 'No pinned matches. Use "Wrong match?" on a title\'s detail view.';
+            list.appendChild(empty);
+            return;
+        }
+
+        response.pins.forEach((pin) => {
+            const item = document.createElement('li');
+
+            const title = document.createElement('span');
+            title.className = 'pin-title';
+            title.textContent = pin.title || pin.videoId;
+            title.title = pin.matchedTitle
+                ? `Netflix ${pin.videoId} → ${pin.matchedTitle} (${pin.matchedYear || '?'})`
+                : `Netflix ${pin.videoId}`;
+
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.value = pin.imdbId;
+            input.title = 'IMDb ID';
+
+            const save = document.createElement('button');
+            save.className = 'secondary';
+            save.textContent = 'Save';
+            save.addEventListener('click', () => updatePin(pin.videoId, input.value.trim()));
+
+            const remove = document.createElement('button');
+            remove.className = 'secondary';
+            remove.textContent = '✕';
+            remove.title = 'Remove pin';
+            remove.addEventListener('click', () => deletePin(pin.videoId));
+
+            item.append(title, input, save, remove);
+            list.appendChild(item);
+        });
+    });
+}
+
+/**
+ * Warn when a site's selector profile stopped finding anything on a page type
+ */
+function loadSelectorWarning() {
+    chrome.runtime.sendMessage({ type: 'GET_SELECTOR_STATUS' }, (response) => {
+        if (chrome.runtime.lastError || !response?.success) return;
+
+        const DAY = 24 * 60 * 60 * 1000;
+        const problems = response.sites.flatMap(({ name, version, health }) => {
+            if (!health || Date.now() - health.reportedAt > DAY) return [];
+            const pages = Object.keys(health.pages).filter(page => health.pages[page].broken);
+            return pages.length > 0 ? [`${name} (profile v${version}): nothing found on ${pages.join(', ')} pages`] : [];
+        });
+
+        const warning = document.getElementById('selectorWarning');
+        warning.hidden = problems.length === 0;
+        if (problems.length === 0) return;
+
+        const link = document.createElement('a');
+        link.href = '#';
+        link.textContent = 'Load an updated profile';
+        link.addEventListener('click', (e) => {
+            e.preventDefault();
+            chrome.runtime.openOptionsPage();
+        });
+
+        const list = document.createElement('ul');
+        problems.forEach((problem) => {
+            const item = document.createElement('li');
+            item.textContent = problem;
+            list.appendChild(item);
+        });
+
+        warning.replaceChildren('Selectors may be broken:', list, link);
+    });
+}
+
+function updatePin(videoId, imdbId) {
+    chrome.runtime.sendMessage({ type: 'UPDATE_PIN', videoId, imdbId }, (response) => {
+        if (chrome.runtime.lastError || !response || !response.success) {
+            showStatus(response?.error || 'Failed to update pin.');
+            return;
+        }
+        showStatus('Pin updated.');
+        loadPins();
+    });
+}
+
+function deletePin(videoId) {
+    chrome.runtime.sendMessage({ type: 'DELETE_PIN', videoId }, (response) => {
+        if (chrome.runtime.lastError || !response || !response.success) {
+            showStatus('Failed to remove pin.');
+            return;
+        }
+        showStatus('Pin removed.');
+        loadPins();
+    });
+}
+
 function clearCache() {
     chrome.runtime.sendMessage({ type: 'CLEAR_CACHE' }, (response) => {
         if (chrome.runtime.lastError) {
@@ -71,6 +288,29 @@ function clearCache() {
     });
 }
 
+function compactCache() {
+    const report = document.getElementById('compactReport');
+    report.textContent = 'Compacting...';
+
+    chrome.runtime.sendMessage({ type: 'COMPACT_CACHE' }, (response) => {
+        if (chrome.runtime.lastError || !response || !response.success) {
+            report.textContent = 'Failed to compact cache.';
+            return;
+        }
+
+        const { expired, evicted, orphans, freedBytes, entries, bytes } = response.report;
+        report.textContent = `Freed ${formatBytes(freedBytes)}: ${expired} expired, ${evicted} evicted, ` +
+            `${orphans} orphaned. ${entries} titles (${formatBytes(bytes)}) left.`;
+        loadCacheStats();
+    });
+}
+
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
 function showStatus(message) {
     const status = document.getElementById('status');
     status.textContent = message;
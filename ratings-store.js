@@ -7,29 +7,137 @@
 class RatingsStore {
     constructor() {
         this.cache = new Map();
-        this.subscribers = new Map();
+        this.subscribers = new Map(); // key -> Map(callback -> { owner, onRelease, detachedAt })
         this.pendingRequests = new Map();
+        this.requestIds = new Map(); // key -> background scheduler request ID while pending
+
+        // Owned subscriptions are swept for owners that left the document (see sweep())
+        this.SWEEP_INTERVAL = 30 * 1000;
+        this.sweepTimer = null;
+        this.releasedCount = 0;
+
+        this.listenForUpdates();
+    }
+
+    /**
+     * Apply records the background publishes after fetches and scheduled refreshes
+     * (`ratingsUpdate` in chrome.storage.session), so badges already on screen re-render.
+     */
+    listenForUpdates() {
+        chrome.storage.onChanged.addListener((changes, namespace) => {
+            if (namespace !== 'session' || !changes.ratingsUpdate?.newValue) return;
+            this.applyUpdate(changes.ratingsUpdate.newValue);
+        });
+    }
+
+    applyUpdate({ key, data }) {
+        if (!data) return;
+
+        const keys = [key];
+        if (data.netflixId) keys.push(`netrot_${data.netflixId}`);
+        if (data.imdbId) keys.push(data.imdbId);
+        if (data.normalizedTitle) keys.push(data.normalizedTitle);
+
+        // Only titles this tab has seen
+        const known = keys.find(k => this.cache.has(k) || this.subscribers.has(k));
+        if (!known) return;
+
+        // Our own response usually arrives first with the same record
+        const current = this.cache.get(known);
+        if (current?.fetchedAt && current.fetchedAt >= data.fetchedAt) return;
+
+        const next = current ? this.mergeSeasons(current, data) : data;
+        // Pushed records were just fetched; keep what this tab looked up
+        this.set(known, current?.lookup ? { ...next, lookup: { ...current.lookup, source: 'api' } } : next);
+    }
+
+    /**
+     * What was asked for and where the answer came from, for the match tooltip (Components.describeMatch)
+     * @returns {{title: string|null, year: string|null, source: string}} source: 'memory' | 'storage' | 'api'
+     */
+    describeLookup(title, year, response) {
+        return { title: title || null, year: year || null, source: response.source || 'api' };
+    }
+
+    /**
+     * Keep seasons fetched by this tab when a pushed record doesn't have them yet
+     */
+    mergeSeasons(current, data) {
+        if (!current.seasons || current.imdbId !== data.imdbId) return data;
+        return { ...data, seasons: { ...current.seasons, ...data.seasons } };
     }
 
     /**
      * Subscribe to ratings updates for a specific key
      * @param {string} key - Cache key (normalized title or imdbId)
      * @param {Function} callback - Called with data on updates
-     * @returns {Function} Unsubscribe function
+     * @param {Object} [options]
+     * @param {Element} [options.owner] - Element the subscription belongs to; released once it leaves the document
+     * @param {Function} [options.onRelease] - Called when the store releases the subscription for a detached owner
+     * @returns {Function} Unsubscribe function (safe to call more than once)
      */
-    subscribe(key, callback) {
+    subscribe(key, callback, { owner = null, onRelease = null } = {}) {
         if (!this.subscribers.has(key)) {
-            this.subscribers.set(key, new Set());
+            this.subscribers.set(key, new Map());
         }
-        this.subscribers.get(key).add(callback);
+        this.subscribers.get(key).set(callback, { owner, onRelease, detachedAt: null });
+        if (owner) this.scheduleSweep();
 
         // Return current value immediately if available
         if (this.cache.has(key)) {
             callback(this.cache.get(key));
         }
 
-        // Return unsubscribe function
-        return () => this.subscribers.get(key)?.delete(callback);
+        return () => this.unsubscribe(key, callback);
+    }
+
+    unsubscribe(key, callback) {
+        const callbacks = this.subscribers.get(key);
+        if (!callbacks?.delete(callback)) return;
+
+        // Last subscriber gone: drop the key and withdraw the queued request
+        if (callbacks.size === 0) {
+            this.subscribers.delete(key);
+            this.cancel(key);
+        }
+    }
+
+    /**
+     * Release subscriptions whose owner left the document without being unsubscribed (e.g. a
+     * row removed with its cards). Callbacks close over their elements, so these would never be
+     * garbage collected on their own. An owner has to be detached on two consecutive sweeps,
+     * so elements the page merely moves keep their subscription.
+     */
+    sweep() {
+        clearTimeout(this.sweepTimer);
+        this.sweepTimer = null;
+        const now = Date.now();
+        let watching = 0;
+
+        this.subscribers.forEach((callbacks, key) => {
+            callbacks.forEach((subscription, callback) => {
+                if (!subscription.owner) return;
+
+                if (subscription.owner.isConnected) {
+                    subscription.detachedAt = null;
+                    watching++;
+                } else if (subscription.detachedAt === null) {
+                    subscription.detachedAt = now;
+                    watching++;
+                } else {
+                    this.unsubscribe(key, callback);
+                    this.releasedCount++;
+                    try { subscription.onRelease?.(); } catch (e) { console.error(e); }
+                }
+            });
+        });
+
+        if (watching > 0) this.scheduleSweep();
+    }
+
+    scheduleSweep() {
+        if (this.sweepTimer) return;
+        this.sweepTimer = setTimeout(() => this.sweep(), this.SWEEP_INTERVAL);
     }
 
     /**
@@ -44,9 +152,11 @@ class RatingsStore {
      * @param {string} title - Movie/show title
      * @param {string|null} year - Optional release year
      * @param {boolean} checkFreshness - If true, triggers a background refresh even if cached
+     * @param {string|null} typeHint - 'movie' or 'series' if the page tells us
+     * @param {string} priority - Scheduler class: 'detail' | 'hover' | 'card' | 'prefetch'
      * @returns {Promise<Object|null>} Ratings data or null
      */
-    async get(videoId, title, year = null, checkFreshness = false) {
+    async get(videoId, title, year = null, checkFreshness = false, typeHint = null, priority = 'card') {
         const key = this.getKey(videoId, title, year);
 
         // precise hit
@@ -60,7 +170,7 @@ class RatingsStore {
 
             if (checkFreshness) {
                 // Trigger background refresh (fire and forget from UI perspective, but update cache)
-                this.fetch(videoId, title, year, key, true);
+                this.fetch(videoId, title, year, key, true, typeHint, priority);
             }
 
             return cached;
@@ -83,27 +193,34 @@ class RatingsStore {
         }
 
         // Not in cache, fetch
-        return this.fetch(videoId, title, year, key, checkFreshness);
+        return this.fetch(videoId, title, year, key, checkFreshness, typeHint, priority);
     }
 
     /**
      * Fetch ratings from background script
      */
-    async fetch(videoId, title, year, key, checkFreshness = false) {
+    async fetch(videoId, title, year, key, checkFreshness = false, typeHint = null, priority = 'card') {
         // Deduplicate
         if (this.pendingRequests.has(key)) {
             return this.pendingRequests.get(key);
         }
 
+        const requestId = crypto.randomUUID();
+        this.requestIds.set(key, requestId);
+
         const promise = new Promise((resolve) => {
             chrome.runtime.sendMessage({
                 type: 'FETCH_RATINGS',
                 videoId,
                 title,
                 year,
-                checkFreshness
+                typeHint,
+                checkFreshness,
+                requestId,
+                priority
             }, (response) => {
                 this.pendingRequests.delete(key);
+                this.requestIds.delete(key);
 
                 if (chrome.runtime.lastError) {
                     console.error('[NetRot] Message error:', chrome.runtime.lastError);
@@ -111,12 +228,23 @@ class RatingsStore {
                     return;
                 }
 
-                if (response?.success) {
-                    this.set(key, response.data);
-                    resolve(response.data);
+                // Withdrawn before it was sent; nothing to cache
+                if (response?.error === 'CANCELLED') {
+                    resolve(null);
+                    return;
+                }
+
+                // Cached "not found" records come back with success: false
+                if (response?.success || response?.data?.status === 'not_found') {
+                    const data = { ...response.data, lookup: this.describeLookup(title, year, response) };
+                    this.set(key, data);
+                    resolve(data);
                 } else {
+                    // `code` picks the badge state (Components.ERROR_STATES)
+                    const code = response?.code || 'ERROR';
                     const errorData = {
-                        status: 'error',
+                        status: code === 'NOT_FOUND' ? 'not_found' : 'error',
+                        code,
                         error: response?.error || 'Unknown error',
                         fetchedAt: Date.now()
                     };
@@ -155,7 +283,7 @@ class RatingsStore {
                     resolve(existing);
                     return;
                 }
-                const enriched = this.mergeData(existing, response.data);
+                const enriched = { ...this.mergeData(existing, response.data), lookup: this.describeLookup(title, year, response) };
                 this.set(key, enriched);
                 resolve(enriched);
             });
@@ -165,6 +293,117 @@ class RatingsStore {
         return promise;
     }
 
+    /**
+     * Change the scheduler priority of a pending fetch (e.g. a card scrolled out of view)
+     * @param {string} key - Cache key
+     * @param {string} priority - 'detail' | 'hover' | 'card' | 'prefetch'
+     */
+    setPriority(key, priority) {
+        const requestId = this.requestIds.get(key);
+        if (!requestId) return;
+        chrome.runtime.sendMessage({ type: 'UPDATE_PRIORITY', requestId, priority }, () => {
+            void chrome.runtime.lastError; // Nothing to do if the request already ran
+        });
+    }
+
+    /**
+     * Withdraw a pending fetch that is still waiting for a request slot
+     * @param {string} key - Cache key
+     */
+    cancel(key) {
+        const requestId = this.requestIds.get(key);
+        if (!requestId) return;
+        chrome.runtime.sendMessage({ type: 'CANCEL_REQUEST', requestId }, () => {
+            void chrome.runtime.lastError;
+        });
+    }
+
+    /**
+     * Get episode ratings for one season of a series
+     * The season is also stored on the cached series record (`seasons[n]`), without notifying.
+     * @param {number} season - Season number
+     * @returns {Promise<Object|null>} Season data ({season, episodes, average}) or null
+     */
+    getSeason(videoId, title, year, season) {
+        const key = this.getKey(videoId, title, year);
+        const cachedSeason = this.cache.get(key)?.seasons?.[season];
+        if (cachedSeason) return Promise.resolve(cachedSeason);
+
+        const requestKey = `${key}_season_${season}`;
+        if (this.pendingRequests.has(requestKey)) {
+            return this.pendingRequests.get(requestKey);
+        }
+
+        const promise = new Promise((resolve) => {
+            chrome.runtime.sendMessage({
+                type: 'FETCH_SEASON',
+                videoId,
+                title,
+                year,
+                season
+            }, (response) => {
+                this.pendingRequests.delete(requestKey);
+
+                if (chrome.runtime.lastError || !response?.success) {
+                    resolve(null);
+                    return;
+                }
+
+                const data = this.cache.get(key);
+                if (data) {
+                    data.seasons = { ...data.seasons, [season]: response.season };
+                }
+                resolve(response.season);
+            });
+        });
+
+        this.pendingRequests.set(requestKey, promise);
+        return promise;
+    }
+
+    /**
+     * Search match candidates for the "Wrong match?" picker
+     * @returns {Promise<Object[]>} Candidates ({imdbId, title, year, type})
+     */
+    searchCandidates(title, year = null) {
+        return new Promise((resolve, reject) => {
+            chrome.runtime.sendMessage({ type: 'SEARCH_CANDIDATES', title, year }, (response) => {
+                if (chrome.runtime.lastError) {
+                    reject(new Error(chrome.runtime.lastError.message));
+                    return;
+                }
+                if (!response?.success) {
+                    reject(new Error(response?.error || 'Search failed'));
+                    return;
+                }
+                resolve(response.candidates);
+            });
+        });
+    }
+
+    /**
+     * Pin a Netflix title to an IMDb ID and publish the re-fetched ratings
+     * @returns {Promise<Object>} Ratings data for the pinned title
+     */
+    pinMatch(videoId, imdbId, title, year = null) {
+        const key = this.getKey(videoId, title, year);
+
+        return new Promise((resolve, reject) => {
+            chrome.runtime.sendMessage({ type: 'PIN_MATCH', videoId, imdbId, title, year }, (response) => {
+                if (chrome.runtime.lastError) {
+                    reject(new Error(chrome.runtime.lastError.message));
+                    return;
+                }
+                if (!response?.success) {
+                    reject(new Error(response?.error || 'Pin failed'));
+                    return;
+                }
+                this.set(key, response.data);
+                resolve(response.data);
+            });
+        });
+    }
+
     /**
      * Set data in cache and notify subscribers
      */
@@ -213,7 +452,9 @@ class RatingsStore {
         if (data.normalizedTitle) keysToNotify.add(data.normalizedTitle);
 
         keysToNotify.forEach(k => {
-            this.subscribers.get(k)?.forEach(cb => {
+            this.subscribers.get(k)?.forEach(({ owner }, cb) => {
+                // Nothing to render into; the next sweep releases it
+                if (owner && !owner.isConnected) return;
                 try { cb(data); } catch (e) { console.error(e); }
             });
         });
@@ -235,7 +476,8 @@ class RatingsStore {
                     votes: fresh.ratings?.imdb?.votes || existing.ratings?.imdb?.votes
                 },
                 rottenTomatoes: {
-                    score: this.getValidValue(fresh.ratings?.rottenTomatoes?.score, existing.ratings?.rottenTomatoes?.score)
+                    score: this.getValidValue(fresh.ratings?.rottenTomatoes?.score, existing.ratings?.rottenTomatoes?.score),
+                    url: this.getValidValue(fresh.ratings?.rottenTomatoes?.url, existing.ratings?.rottenTomatoes?.url)
                 },
                 metacritic: {
                     score: this.getValidValue(fresh.ratings?.metacritic?.score, existing.ratings?.metacritic?.score)
@@ -265,14 +507,34 @@ class RatingsStore {
     clear() {
         this.cache.clear();
         this.pendingRequests.clear();
+        this.requestIds.clear();
     }
 
+    /**
+     * @returns {Object} Subscribers whose owner has left the document count as leaked
+     *          until the next sweep releases them (releasedSubscribers, cumulative)
+     */
     getStats() {
+        let live = 0;
+        let leaked = 0;
+        this.subscribers.forEach((callbacks) => {
+            callbacks.forEach(({ owner }) => {
+                if (owner && !owner.isConnected) {
+                    leaked++;
+                } else {
+                    live++;
+                }
+            });
+        });
+
         return {
             cacheSize: this.cache.size,
             pendingRequests: this.pendingRequests.size,
-            subscriberCount: Array.from(this.subscribers.values())
-                .reduce((sum, set) => sum + set.size, 0)
+            subscribedKeys: this.subscribers.size,
+            subscriberCount: live + leaked,
+            liveSubscribers: live,
+            leakedSubscribers: leaked,
+            releasedSubscribers: this.releasedCount
         };
     }
 }
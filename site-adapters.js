@@ -0,0 +1,308 @@
+/**
+ * NetRot Site Adapters
+ * Everything content.js needs to know about a streaming site's DOM lives in an adapter and its
+ * selector profile; the RatingsStore, components and injection flow are shared by all sites.
+ *
+ * Adapters register themselves from sites/*.js (loaded after this file, before content.js):
+ *
+ *   SiteAdapters.register({
+ *       id: 'netflix',                        // Profile site; also prefixes IDs of non-Netflix sites (see qualifyId)
+ *       name: 'Netflix',
+ *       hosts: [/(^|\.)netflix\.com$/],
+ *       extractId(element, type),             // -> string|null, stable per title
+ *
+ *       // Optional (defaults read the selector profile)
+ *       extractTitle(element, type),          // -> string|null (no title = nothing injected)
+ *       extractYear(element, type),           // -> string|null
+ *       extractTypeHint(element, type),       // -> 'movie' | 'series' | null
+ *       attach(element, container, type),     // -> true if the container was placed
+ *       cleanTitle(title),                    // Site-specific cleanup of extracted titles
+ *       player: { videoId(location), extractTitle(), container(video) }  // Player page overlay
+ *   });
+ *
+ * Selector profiles (profiles/<site>.json, or a newer local override loaded in the options page)
+ * are fetched from the background before the first scan. Wherever a profile lists selectors in an
+ * array they are ordered fallbacks: the first one that matches wins.
+ *   version       Compared against local overrides (a newer bundled profile replaces an override)
+ *   discovery     { card, hover, detail }: elements to inject into (a mode without selectors is skipped),
+ *                 plus `row`: the rows cards sit in, for batching lazy fetches (optional)
+ *   title         { card | hover | detail | default }: [{ selector, attr? }] rules, first non-empty value wins
+ *   year          [{ selector, exact? }]: `exact` elements must contain only the year
+ *   typeHint      { series, text }: selectors that mean series / metadata to read runtimes or seasons from
+ *   attach        { card | hover | detail }: [{ position: 'badge' | 'before' | 'after' | 'append', selector }]
+ *   episodes      Episode list selectors for the detail view (optional)
+ *   player        Player page selectors (optional)
+ *   checks        { name: { path, expect } }: on pages whose path matches, `expect` (a discovery mode)
+ *                 should find something; otherwise the popup warns that selectors may be broken
+ * The selector ':scope' stands for the element itself. Profile selectors go through the query
+ * helpers below, so one that doesn't parse counts as a miss instead of breaking the scan.
+ */
+
+const SiteAdapters = {
+    adapters: [],
+
+    // Active selector profile, where it came from ('bundled' | 'override') and per-selector
+    // hit counts ({ 'discovery.card': { '.title-card-container': 12 } })
+    profile: null,
+    profileSource: null,
+    hits: {},
+
+    register: (adapter) => {
+        adapter.extractTitle ??= (element, type) => SiteAdapters.extractTitle(adapter, element, type);
+        adapter.extractYear ??= (element) => SiteAdapters.extractYear(element);
+        adapter.extractTypeHint ??= (element) => SiteAdapters.extractTypeHint(element);
+        adapter.attach ??= (element, container, type) => SiteAdapters.attach(element, container, type);
+        SiteAdapters.adapters.push(adapter);
+    },
+
+    /**
+     * Adapter for the current page
+     * @param {string} hostname - e.g. location.hostname
+     * @returns {Object|null}
+     */
+    forHost: (hostname) => {
+        return SiteAdapters.adapters.find(adapter => adapter.hosts.some(pattern => pattern.test(hostname))) || null;
+    },
+
+    /**
+     * Fetch the adapter's selector profile from the background and make it the active one
+     * @returns {Promise<Object>} The profile
+     */
+    loadProfile: (adapter) => {
+        return new Promise((resolve, reject) => {
+            chrome.runtime.sendMessage({ type: 'GET_SELECTOR_PROFILE', site: adapter.id }, (response) => {
+                if (chrome.runtime.lastError) {
+                    reject(new Error(chrome.runtime.lastError.message));
+                    return;
+                }
+                if (!response?.success) {
+                    reject(new Error(response?.error || 'No selector profile'));
+                    return;
+                }
+                SiteAdapters.profile = response.profile;
+                SiteAdapters.profileSource = response.source;
+                SiteAdapters.hits = {};
+                resolve(response.profile);
+            });
+        });
+    },
+
+    // =========================================================================
+    // PROFILE QUERIES
+    // =========================================================================
+
+    /**
+     * Elements of a discovery mode inside a subtree, plus the closest matching ancestor
+     * (sites often fill in a card or modal after inserting it)
+     * @param {Element} root - Subtree to scan
+     * @param {string} mode - 'card' | 'hover' | 'detail'
+     * @returns {Set<Element>}
+     */
+    discover: (root, mode) => {
+        const found = new Set();
+        SiteAdapters.list(SiteAdapters.profile.discovery?.[mode]).forEach((selector) => {
+            const matches = SiteAdapters.queryAll(root, selector);
+            matches.forEach(match => found.add(match));
+
+            const container = SiteAdapters.closest(root, selector);
+            if (container) found.add(container);
+
+            SiteAdapters.countHit(`discovery.${mode}`, selector, matches.length + (container ? 1 : 0));
+        });
+        return found;
+    },
+
+    /**
+     * All selectors of a discovery mode as one selector group (null if the profile has none)
+     */
+    selectorFor: (mode) => {
+        const selectors = SiteAdapters.list(SiteAdapters.profile.discovery?.[mode]).filter(SiteAdapters.isValidSelector);
+        return selectors.length > 0 ? selectors.join(', ') : null;
+    },
+
+    /**
+     * First element matching the ordered selectors (':scope' is the element itself)
+     * @returns {{match: Element, selector: string}|null}
+     */
+    select: (element, selectors) => {
+        for (const selector of SiteAdapters.list(selectors)) {
+            const match = selector === ':scope' ? element : SiteAdapters.query(element, selector);
+            if (match) return { match, selector };
+        }
+        return null;
+    },
+
+    extractTitle: (adapter, element, type) => {
+        const rules = SiteAdapters.profile.title?.[type] || SiteAdapters.profile.title?.default || [];
+        for (const rule of rules) {
+            const found = SiteAdapters.select(element, rule.selector);
+            if (!found) continue;
+
+            const raw = rule.attr ? found.match.getAttribute(rule.attr) : found.match.textContent;
+            const title = adapter.cleanTitle ? adapter.cleanTitle(raw) : Utils.cleanTitle(raw);
+            if (title) {
+                SiteAdapters.countHit(`title.${type}`, found.selector, 1);
+                return title;
+            }
+        }
+        return null;
+    },
+
+    extractYear: (element) => {
+        for (const rule of SiteAdapters.profile.year || []) {
+            const found = SiteAdapters.select(element, rule.selector);
+            const text = found?.match.innerText?.trim();
+            if (!text) continue;
+
+            const year = rule.exact
+                ? (/^\d{4}$/.test(text) ? text : null)
+                : text.substring(0, 500).match(/\b(19|20)\d{2}\b/)?.[0];
+            if (year) {
+                SiteAdapters.countHit('year', found.selector, 1);
+                return year;
+            }
+        }
+        return null;
+    },
+
+    extractTypeHint: (element) => {
+        const rules = SiteAdapters.profile.typeHint;
+        if (!rules) return null;
+
+        if (SiteAdapters.list(rules.series).some(selector => SiteAdapters.query(element, selector))) {
+            return 'series';
+        }
+
+        const meta = SiteAdapters.select(element, rules.text);
+        return SiteAdapters.typeHintFromText(meta ? meta.match.textContent : element.textContent?.substring(0, 500));
+    },
+
+    attach: (element, container, type) => {
+        for (const rule of SiteAdapters.profile.attach?.[type] || []) {
+            const found = SiteAdapters.select(element, rule.selector);
+            if (!found) continue;
+
+            const anchor = found.match;
+            switch (rule.position) {
+                case 'badge':
+                    SiteAdapters.appendBadge(anchor, container);
+                    break;
+                case 'before':
+                    anchor.before(container);
+                    break;
+                case 'after':
+                    anchor.after(container);
+                    break;
+                default:
+                    anchor.appendChild(container);
+            }
+            SiteAdapters.countHit(`attach.${type}`, found.selector, 1);
+            return true;
+        }
+        return false;
+    },
+
+    // Selectors that failed to parse, warned about once each
+    invalidSelectors: new Set(),
+
+    /**
+     * querySelector for profile selectors: null (a miss) when the selector doesn't parse
+     */
+    query: (root, selector) => {
+        return SiteAdapters.guard(selector, null, () => root.querySelector(selector));
+    },
+
+    queryAll: (root, selector) => {
+        return SiteAdapters.guard(selector, [], () => root.querySelectorAll(selector));
+    },
+
+    closest: (element, selector) => {
+        return SiteAdapters.guard(selector, null, () => element.closest(selector));
+    },
+
+    isValidSelector: (selector) => {
+        return SiteAdapters.guard(selector, false, () => {
+            document.createDocumentFragment().querySelector(selector);
+            return true;
+        });
+    },
+
+    guard: (selector, fallback, query) => {
+        try {
+            return query();
+        } catch (e) {
+            if (!SiteAdapters.invalidSelectors.has(selector)) {
+                SiteAdapters.invalidSelectors.add(selector);
+                console.warn(`[NetRot] Invalid selector in ${SiteAdapters.profileSource} profile: "${selector}"`);
+            }
+            return fallback;
+        }
+    },
+
+    countHit: (group, selector, count) => {
+        const counts = SiteAdapters.hits[group] ||= {};
+        counts[selector] = (counts[selector] || 0) + count;
+    },
+
+    /**
+     * Total hits of a group (e.g. 'discovery.card')
+     */
+    groupHits: (group) => {
+        return Object.values(SiteAdapters.hits[group] || {}).reduce((sum, count) => sum + count, 0);
+    },
+
+    list: (selectors) => {
+        if (!selectors) return [];
+        return Array.isArray(selectors) ? selectors : [selectors];
+    },
+
+    // =========================================================================
+    // SHARED HELPERS
+    // =========================================================================
+
+    /**
+     * IDs share one cache and pin store, so IDs from sites other than Netflix carry their site's
+     * prefix (Netflix IDs stay bare, as they were cached before adapters existed)
+     */
+    qualifyId: (siteId, id) => {
+        return id ? `${siteId}:${id}` : null;
+    },
+
+    /**
+     * Value of an attribute on the element itself or the first descendant that has it
+     */
+    firstAttribute: (element, selectors, attribute) => {
+        const candidates = element.matches(selectors) ? [element] : [];
+        candidates.push(...element.querySelectorAll(selectors));
+        for (const match of candidates) {
+            const value = Utils.cleanTitle(match.getAttribute(attribute));
+            if (value) return value;
+        }
+        return null;
+    },
+
+    /**
+     * Guess movie vs series from metadata text: season counts and "Limited Series" mean series,
+     * a runtime means movie
+     */
+    typeHintFromText: (text) => {
+        if (/\b\d+\s+(Seasons?|Parts?|Volumes?)\b|\bLimited Series\b|\bEpisodes\b/i.test(text || '')) {
+            return 'series';
+        }
+        if (/\b\d+h(\s*\d+m)?\b|\b\d+\s*min\b/i.test(text || '')) {
+            return 'movie';
+        }
+        return null;
+    },
+
+    /**
+     * Badge in the card's corner (the card becomes the positioning context)
+     */
+    appendBadge: (element, container) => {
+        if (getComputedStyle(element).position === 'static') {
+            element.style.position = 'relative';
+        }
+        element.appendChild(container);
+        return true;
+    }
+};
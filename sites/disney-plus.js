@@ -0,0 +1,34 @@
+/**
+ * NetRot Site Adapter: Disney+
+ * Collection tiles and title detail pages on disneyplus.com.
+ * Selectors and attach points are in profiles/disney-plus.json.
+ */
+
+const DisneyPlusAdapter = {
+    id: 'disney',
+    name: 'Disney+',
+    hosts: [/(^|\.)disneyplus\.com$/],
+
+    /**
+     * /movies/<slug>/<id>, /series/<slug>/<id> or /browse/entity-<uuid>; detail pages use the page URL
+     */
+    extractId: (element, type) => {
+        const href = DisneyPlusAdapter.findHref(element) || (type === 'detail' ? location.href : '');
+        const match = href.match(/\/(?:movies|series)\/[^/]+\/([A-Za-z0-9]+)|\/browse\/entity-([0-9a-f-]+)/i);
+        return SiteAdapters.qualifyId(DisneyPlusAdapter.id, match ? (match[1] || match[2]) : null);
+    },
+
+    extractTypeHint: (element, type) => {
+        const href = DisneyPlusAdapter.findHref(element) || (type === 'detail' ? location.href : '');
+        if (/\/series\//.test(href)) return 'series';
+        if (/\/movies\//.test(href)) return 'movie';
+        return SiteAdapters.typeHintFromText(element.textContent?.substring(0, 500));
+    },
+
+    findHref: (element) => {
+        const link = element.closest('a[href]') || element.querySelector('a[href]');
+        return link ? link.href : null;
+    }
+};
+
+SiteAdapters.register(DisneyPlusAdapter);
@@ -0,0 +1,34 @@
+/**
+ * NetRot Site Adapter: Max
+ * Rail tiles and movie/show pages on max.com.
+ * Selectors and attach points are in profiles/max.json.
+ */
+
+const MaxAdapter = {
+    id: 'max',
+    name: 'Max',
+    hosts: [/(^|\.)max\.com$/],
+
+    /**
+     * /movie/<uuid>, /show/<uuid> or /mini-series/<uuid>; detail pages use the page URL
+     */
+    extractId: (element, type) => {
+        const href = MaxAdapter.findHref(element, type);
+        const match = href.match(/\/(?:movie|show|mini-series)\/([0-9a-f-]{8,})/i);
+        return SiteAdapters.qualifyId(MaxAdapter.id, match ? match[1] : null);
+    },
+
+    extractTypeHint: (element, type) => {
+        const href = MaxAdapter.findHref(element, type);
+        if (/\/(show|mini-series)\//.test(href)) return 'series';
+        if (/\/movie\//.test(href)) return 'movie';
+        return null;
+    },
+
+    findHref: (element, type) => {
+        if (element.matches('a[href]')) return element.href;
+        return type === 'detail' ? location.href : (element.querySelector('a[href]')?.href || '');
+    }
+};
+
+SiteAdapters.register(MaxAdapter);
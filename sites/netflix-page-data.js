@@ -0,0 +1,63 @@
+/**
+ * NetRot Netflix Page Data Bridge
+ * Runs in the page's MAIN world (see manifest.json), where Netflix keeps title metadata in its
+ * Falcor cache. Content scripts live in an isolated world and can't read page globals, so they
+ * ask over DOM events; event dispatch is synchronous, so the answer arrives before
+ * dispatchEvent() returns.
+ *
+ *   'netrot-page-data-request'   detail: video ID
+ *   'netrot-page-data-response'  detail: JSON {id, title, year, type, seasonCount} or "null"
+ */
+
+(function () {
+    'use strict';
+
+    // Video fields we read; getCache() without paths would copy the whole cache on every lookup
+    const FIELDS = ['title', 'releaseYear', 'summary', 'seasonCount'];
+
+    /**
+     * One video's node from the live Falcor cache (titles loaded while browsing), or from the one
+     * embedded in the page HTML
+     */
+    function getVideo(videoId) {
+        const netflix = window.netflix;
+        let video = null;
+        try {
+            const evaluator = netflix?.appContext?.state?.pathEvaluator;
+            video = evaluator?.getCache?.(['videos', videoId, FIELDS])?.videos?.[videoId] || null;
+        } catch (e) {
+            // Fall through to the embedded cache
+        }
+        return video || netflix?.falcorCache?.videos?.[videoId] || null;
+    }
+
+    // Falcor wraps leaf values as { $type: 'atom', value }
+    function unwrap(node) {
+        return node && typeof node === 'object' && '$type' in node ? node.value : node;
+    }
+
+    function lookup(videoId) {
+        const video = getVideo(videoId);
+        if (!video) return null;
+
+        const summary = unwrap(video.summary) || {};
+
+        return {
+            id: videoId,
+            title: unwrap(video.title) ?? null,
+            year: unwrap(video.releaseYear) ?? null,
+            type: summary.type ?? null,
+            seasonCount: unwrap(video.seasonCount) ?? null
+        };
+    }
+
+    document.addEventListener('netrot-page-data-request', (event) => {
+        let record = null;
+        try {
+            record = lookup(String(event.detail));
+        } catch (e) {
+            // Netflix changed the cache layout; callers fall back to the DOM
+        }
+        document.dispatchEvent(new CustomEvent('netrot-page-data-response', { detail: JSON.stringify(record) }));
+    });
+})();
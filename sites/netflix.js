@@ -0,0 +1,119 @@
+/**
+ * NetRot Site Adapter: Netflix
+ * Browse cards, hover cards (mini modals), preview modals, episode lists and the /watch player.
+ * Selectors and attach points are in profiles/netflix.json. Title, year and type come from the
+ * metadata Netflix embeds in the page (sites/netflix-page-data.js) when it knows the video ID;
+ * the profile's DOM rules are the fallback.
+ */
+
+// Page data per element, null when Netflix's cache didn't have it (the DOM rules apply then)
+const netflixPageData = new WeakMap();
+
+const NetflixAdapter = {
+    id: 'netflix',
+    name: 'Netflix',
+    hosts: [/(^|\.)netflix\.com$/],
+
+    player: {
+        videoId: (location) => {
+            return location.pathname.startsWith('/watch/') ? Utils.parseIdFromUrl(location.pathname) : null;
+        },
+
+        /**
+         * Title and, for series, the current episode from the player controls
+         * (e.g. <h4>Show</h4><span>S2:E5</span><span>Episode name</span>)
+         * @returns {{title: string|null, season: number|null, episode: number|null}}
+         */
+        extractTitle: () => {
+            const selectors = SiteAdapters.profile.player || {};
+            const titleEl = selectors.title && SiteAdapters.query(document, selectors.title);
+            if (!titleEl) return { title: null, season: null, episode: null };
+
+            const heading = (selectors.heading && SiteAdapters.query(titleEl, selectors.heading)) || titleEl;
+            const match = titleEl.textContent.match(/S(\d+)\s*:\s*E(\d+)/);
+            return {
+                title: NetflixAdapter.cleanTitle(heading.textContent),
+                season: match ? parseInt(match[1], 10) : null,
+                episode: match ? parseInt(match[2], 10) : null
+            };
+        },
+
+        container: (video) => {
+            const selector = SiteAdapters.profile.player?.container;
+            return (selector && SiteAdapters.closest(video, selector)) || document.body;
+        }
+    },
+
+    extractId: (element) => Utils.extractNetflixId(element),
+
+    extractTitle: (element, type) => {
+        return NetflixAdapter.pageDataFor(element)?.title || SiteAdapters.extractTitle(NetflixAdapter, element, type);
+    },
+
+    extractYear: (element) => {
+        return NetflixAdapter.pageDataFor(element)?.year || SiteAdapters.extractYear(element);
+    },
+
+    extractTypeHint: (element) => {
+        return NetflixAdapter.pageDataFor(element)?.typeHint || SiteAdapters.extractTypeHint(element);
+    },
+
+    pageDataFor: (element) => {
+        if (netflixPageData.has(element)) return netflixPageData.get(element);
+
+        // Misses are kept too: title, year and type hint would otherwise each ask again
+        const data = NetflixAdapter.getPageData(Utils.extractNetflixId(element));
+        netflixPageData.set(element, data);
+        return data;
+    },
+
+    /**
+     * Structured metadata for a video ID from Netflix's own cache
+     * @param {string|null} videoId - Netflix video ID
+     * @returns {{title: string|null, year: string|null, typeHint: string|null, seasonCount: number|null}|null}
+     *          null when the bridge isn't loaded or Netflix hasn't loaded the title
+     */
+    getPageData: (videoId) => {
+        if (!videoId) return null;
+
+        let record = null;
+        const onResponse = (event) => {
+            try {
+                record = JSON.parse(event.detail);
+            } catch (e) {
+                record = null;
+            }
+        };
+        document.addEventListener('netrot-page-data-response', onResponse);
+        document.dispatchEvent(new CustomEvent('netrot-page-data-request', { detail: videoId }));
+        document.removeEventListener('netrot-page-data-response', onResponse);
+
+        if (!record || typeof record !== 'object') return null;
+
+        const seasonCount = Number.isInteger(record.seasonCount) ? record.seasonCount : null;
+        let typeHint = null;
+        if (record.type === 'show' || seasonCount > 0) {
+            typeHint = 'series';
+        } else if (record.type === 'movie') {
+            typeHint = 'movie';
+        }
+
+        return {
+            title: typeof record.title === 'string' ? record.title.trim() || null : null,
+            year: /^(19|20)\d{2}$/.test(String(record.year)) ? String(record.year) : null,
+            typeHint,
+            seasonCount
+        };
+    },
+
+    cleanTitle: (title) => {
+        if (!title) return null;
+        return title
+            .replace(/Netflix/i, '')
+            .replace(/^Watch\s+/i, '')
+            // Don't split on colon - keeps full series titles like "Stranger Things: Season 4"
+            .trim();
+    }
+};
+
+SiteAdapters.register(NetflixAdapter);
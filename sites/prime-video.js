@@ -0,0 +1,33 @@
+/**
+ * NetRot Site Adapter: Prime Video
+ * Carousel cards and title detail pages on primevideo.com and amazon.com/gp/video
+ * (the manifest only injects into amazon.com's /gp/video pages).
+ * Selectors and attach points are in profiles/prime-video.json.
+ */
+
+const PrimeVideoAdapter = {
+    id: 'prime',
+    name: 'Prime Video',
+    hosts: [/(^|\.)primevideo\.com$/, /(^|\.)amazon\.com$/],
+
+    /**
+     * Detail page IDs (/detail/<id>/ or /gp/video/detail/<ASIN>/); the detail page's own ID is in the URL
+     */
+    extractId: (element, type) => {
+        const link = element.matches('a[href*="/detail/"]') ? element : element.querySelector('a[href*="/detail/"]');
+        const href = link ? link.href : (type === 'detail' ? location.href : '');
+        const match = href.match(/\/detail\/(?:[^/?#]+\/)?([A-Z0-9]{10,})/i);
+        return SiteAdapters.qualifyId(PrimeVideoAdapter.id, match ? match[1] : null);
+    },
+
+    extractTypeHint: (element, type) => {
+        const entityType = SiteAdapters.firstAttribute(element, '[data-card-entity-type]', 'data-card-entity-type');
+        if (entityType) return /tv|show|season/i.test(entityType) ? 'series' : 'movie';
+        if (type === 'detail' && element.ownerDocument.querySelector('[data-automation-id="season-selector"], .dv-node-dp-seasons')) {
+            return 'series';
+        }
+        return SiteAdapters.typeHintFromText(element.textContent?.substring(0, 500));
+    }
+};
+
+SiteAdapters.register(PrimeVideoAdapter);
@@ -0,0 +1,286 @@
+/**
+ * NetRot render safety check
+ * Feeds hostile OMDb payloads through normalizeOmdbResponse (background.js) into every
+ * Components view and fails if any markup turned into elements, attributes or unsafe URLs.
+ *
+ * Run: node tests/render-safety.js
+ *
+ * No browser needed: the DOM below is a shim that only supports what components.js uses, and
+ * throws on every HTML-parsing entry point (innerHTML etc.), so markup can only ever end up as text.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const assert = require('assert');
+
+const ROOT = path.join(__dirname, '..');
+
+// =============================================================================
+// DOM SHIM
+// =============================================================================
+
+class Node {}
+
+class Text extends Node {
+    constructor(data) {
+        super();
+        this.data = String(data);
+    }
+
+    get textContent() {
+        return this.data;
+    }
+}
+
+const parsesHtml = (name) => () => {
+    throw new Error(`${name} used; rendered views must not parse HTML`);
+};
+
+class Element extends Node {
+    constructor(tagName) {
+        super();
+        this.tagName = tagName.toUpperCase();
+        this.childNodes = [];
+        this.attributes = new Map();
+        this.className = '';
+    }
+
+    get classList() {
+        const names = () => this.className.split(/\s+/).filter(Boolean);
+        return {
+            add: (...added) => { this.className = [...new Set([...names(), ...added])].join(' '); },
+            remove: (...removed) => { this.className = names().filter(n => !removed.includes(n)).join(' '); },
+            contains: name => names().includes(name)
+        };
+    }
+
+    append(...nodes) {
+        nodes.forEach(node => this.childNodes.push(node instanceof Node ? node : new Text(node)));
+    }
+
+    appendChild(node) {
+        this.append(node);
+        return node;
+    }
+
+    replaceChildren(...nodes) {
+        this.childNodes = [];
+        this.append(...nodes);
+    }
+
+    get textContent() {
+        return this.childNodes.map(node => node.textContent).join('');
+    }
+
+    set textContent(value) {
+        this.childNodes = [new Text(value)];
+    }
+
+    setAttribute(name, value) {
+        this.attributes.set(name, String(value));
+    }
+
+    getAttribute(name) {
+        return this.attributes.has(name) ? this.attributes.get(name) : null;
+    }
+
+    removeAttribute(name) {
+        this.attributes.delete(name);
+        if (name === 'title') delete this.title;
+    }
+
+    attachShadow() {
+        return new Element('#shadow-root');
+    }
+
+    addEventListener() {}
+
+    dispatchEvent() {
+        return true;
+    }
+
+    /**
+     * Class selectors only (all components.js queries its own output with)
+     */
+    querySelectorAll(selector) {
+        const names = selector.split('.').filter(Boolean);
+        return this.descendants().filter(el => names.every(name => el.classList.contains(name)));
+    }
+
+    descendants() {
+        return this.childNodes
+            .filter(node => node instanceof Element)
+            .flatMap(el => [el, ...el.descendants()]);
+    }
+}
+
+['innerHTML', 'outerHTML'].forEach((name) => {
+    Object.defineProperty(Element.prototype, name, { set: parsesHtml(name), get: () => '' });
+});
+Element.prototype.insertAdjacentHTML = parsesHtml('insertAdjacentHTML');
+
+const document = {
+    createElement: tag => new Element(tag),
+    createTextNode: data => new Text(data),
+    createDocumentFragment: () => new Element('#fragment'),
+    createRange: parsesHtml('createRange'),
+    write: parsesHtml('document.write')
+};
+
+// chrome.* stub: every member exists, calls resolve to {} and never call back
+const chromeStub = new Proxy(function () {}, {
+    get: (target, name) => (name === 'then' ? undefined : chromeStub),
+    apply: () => Promise.resolve({})
+});
+
+// =============================================================================
+// LOAD SOURCES
+// =============================================================================
+
+const context = vm.createContext({
+    console: { log() {}, warn() {}, error: console.error },
+    chrome: chromeStub,
+    document,
+    Node,
+    URLSearchParams,
+    queueMicrotask,
+    setTimeout,
+    clearTimeout,
+    setInterval,
+    clearInterval
+});
+context.self = context;
+
+const load = file => vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+context.importScripts = (...files) => files.forEach(load);
+
+load('background.js');
+load('components.js');
+const { normalizeOmdbResponse, mergeRatingsData } = context;
+const Components = vm.runInContext('Components', context);
+
+// =============================================================================
+// PAYLOADS
+// =============================================================================
+
+const MARKUP = [
+    '<img src=x onerror="alert(1)">',
+    '"><script>alert(1)</script>',
+    '<svg onload=alert(1)>',
+    '\' onmouseover=\'alert(1)',
+    '<a href="javascript:alert(1)">x</a>'
+];
+
+const hostileOmdb = (markup, tomatoURL) => ({
+    Title: `Title ${markup}`,
+    Year: `2020${markup}`,
+    Type: `movie${markup}`,
+    imdbID: `tt123${markup}`,
+    imdbRating: `8.1${markup}`,
+    imdbVotes: `1,000${markup}`,
+    Metascore: `70${markup}`,
+    Ratings: [
+        { Source: 'Rotten Tomatoes', Value: `90%${markup}` },
+        { Source: 'Metacritic', Value: `70/100${markup}` }
+    ],
+    Rated: `PG-13${markup}`,
+    Runtime: `120 min${markup}`,
+    Genre: `Drama${markup}`,
+    Director: `Someone${markup}`,
+    Actors: `A, B${markup}`,
+    Awards: `Won 2 Oscars${markup}`,
+    BoxOffice: `$1${markup}`,
+    Plot: `Plot ${markup}`,
+    Poster: `javascript:alert(1)//${markup}`,
+    tomatoURL
+});
+
+const TOMATO_URLS = [
+    'javascript:alert(1)',
+    'https://www.rottentomatoes.com/m/x" onmouseover="alert(1)',
+    'https://www.rottentomatoes.com/m/<script>alert(1)</script>',
+    'data:text/html,<script>alert(1)</script>'
+];
+
+const SETTINGS = {
+    showImdb: true,
+    showRotten: true,
+    showMetacritic: true,
+    showDetailFacts: true,
+    showDetailCredits: true,
+    showDetailAwards: true,
+    showDetailPlot: true
+};
+
+// Everything the builders may create, and the properties they may set
+const ALLOWED_TAGS = ['SPAN', 'DIV', 'A', 'SMALL', 'BUTTON', 'DETAILS', 'SUMMARY', 'DL', 'DT', 'DD', 'IMG'];
+const ALLOWED_PROPS = ['tagName', 'childNodes', 'attributes', 'className', 'title', 'href', 'target', 'rel',
+    'type', 'src', 'alt', 'loading', 'referrerPolicy', 'onerror'];
+const URL_PROPS = ['href', 'src'];
+
+// =============================================================================
+// CHECKS
+// =============================================================================
+
+function checkTree(root, label) {
+    root.descendants().forEach((el) => {
+        assert.ok(ALLOWED_TAGS.includes(el.tagName), `${label}: unexpected <${el.tagName.toLowerCase()}>`);
+        assert.strictEqual(el.attributes.size, 0, `${label}: attributes set on <${el.tagName.toLowerCase()}>`);
+
+        Object.keys(el).forEach((prop) => {
+            assert.ok(ALLOWED_PROPS.includes(prop), `${label}: unexpected property "${prop}"`);
+        });
+        URL_PROPS.forEach((prop) => {
+            if (el[prop] === undefined) return;
+            assert.match(el[prop], /^https:\/\//, `${label}: unsafe ${prop} "${el[prop]}"`);
+        });
+        if (el.onerror !== undefined) {
+            assert.strictEqual(typeof el.onerror, 'function', `${label}: onerror set from data`);
+        }
+        assert.ok(!/^on/i.test(el.className) && !el.className.includes('<'), `${label}: class from data "${el.className}"`);
+    });
+}
+
+let checked = 0;
+
+MARKUP.forEach((markup) => {
+    TOMATO_URLS.forEach((tomatoURL) => {
+        const data = normalizeOmdbResponse(hostileOmdb(markup, tomatoURL), 'title', '2020');
+        data.match = { method: `search${markup}`, confidence: 0.5, uncertain: true };
+        data.lookup = { title: `Scraped ${markup}`, year: '2020', source: `api${markup}` };
+
+        const merged = mergeRatingsData(normalizeOmdbResponse(hostileOmdb(markup, tomatoURL), 'title', null), data);
+        const episode = { season: 1, episode: 2, title: `Episode ${markup}`, rating: `9.0${markup}` };
+
+        [data, merged].forEach((record) => {
+            Object.keys(Components.MODE_CLASSES).forEach((mode) => {
+                [true, false].forEach((correctable) => {
+                    const root = document.createElement('div');
+                    Components.render(root, { data: record, mode, settings: SETTINGS, correctable, episode });
+
+                    const label = `${mode} / ${JSON.stringify(markup)} / ${tomatoURL}`;
+                    checkTree(root, label);
+                    // The markup must still be there, as text
+                    assert.ok(root.textContent.includes(markup), `${label}: payload missing from text`);
+                    checked++;
+                });
+            });
+        });
+    });
+});
+
+// Error states carry the upstream message; it must not reach the page as markup either
+MARKUP.forEach((markup) => {
+    ['error', 'not_found'].forEach((status) => {
+        Object.keys(Components.MODE_CLASSES).forEach((mode) => {
+            const root = document.createElement('div');
+            const data = { status, code: `X${markup}`, error: markup, title: `Title ${markup}` };
+            Components.render(root, { data, mode, settings: SETTINGS, correctable: true, episode: null });
+            checkTree(root, `${mode} / ${status} / ${JSON.stringify(markup)}`);
+            checked++;
+        });
+    });
+});
+
+console.log(`render-safety: ${checked} renders, no markup interpreted`);
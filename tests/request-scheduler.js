@@ -0,0 +1,107 @@
+/**
+ * NetRot request scheduler check
+ * Two tabs asking for the same title share one queued request; one of them cancelling must not
+ * cancel it for the other, whether the second joined before or after the request was queued.
+ *
+ * Run: node tests/request-scheduler.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const assert = require('assert');
+
+const ROOT = path.join(__dirname, '..');
+
+// chrome.* stub: every member exists, calls resolve to {} and never call back
+const chromeStub = new Proxy(function () {}, {
+    get: (target, name) => (name === 'then' ? undefined : chromeStub),
+    apply: () => Promise.resolve({})
+});
+
+const context = vm.createContext({
+    console: { log() {}, warn() {}, error: console.error },
+    chrome: chromeStub,
+    URLSearchParams,
+    setTimeout,
+    clearTimeout,
+    setInterval,
+    clearInterval
+});
+context.self = context;
+
+const load = file => vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+context.importScripts = (...files) => files.forEach(load);
+load('background.js');
+const RequestScheduler = vm.runInContext('RequestScheduler', context);
+
+const WINDOW_MS = 50;
+
+/**
+ * Scheduler whose only slot is taken, so the next request has to queue
+ */
+function busyScheduler() {
+    const scheduler = new RequestScheduler(1, WINDOW_MS);
+    scheduler.acquire('card');
+    return scheduler;
+}
+
+const outcome = promise => promise.then(() => 'granted', error => error.message);
+
+async function joinedAfterQueueing() {
+    const scheduler = busyScheduler();
+    const first = scheduler.acquire('card', { key: 'k', requestId: 'tab-a' });
+    scheduler.join('k', 'tab-b', 'card');
+
+    assert.strictEqual(scheduler.cancel('tab-a'), true);
+    assert.strictEqual(await outcome(first), 'granted', 'joined after queueing: shared request was cancelled');
+}
+
+async function joinedBeforeQueueing() {
+    // handleFetchRatings dedups while the first performFetch is still awaiting before acquire()
+    const scheduler = busyScheduler();
+    scheduler.join('k', 'tab-b', 'card');
+    const first = scheduler.acquire('card', { key: 'k', requestId: 'tab-a' });
+
+    assert.strictEqual(scheduler.cancel('tab-a'), true);
+    assert.strictEqual(await outcome(first), 'granted', 'joined before queueing: shared request was cancelled');
+}
+
+async function joinedWithoutId() {
+    const scheduler = busyScheduler();
+    scheduler.join('k', null, 'card');
+    const first = scheduler.acquire('card', { key: 'k', requestId: 'tab-a' });
+
+    scheduler.cancel('tab-a');
+    assert.strictEqual(await outcome(first), 'granted', 'a requester without ID must keep the request alive');
+}
+
+async function everyoneCancels() {
+    const scheduler = busyScheduler();
+    scheduler.join('k', 'tab-b', 'card');
+    const first = scheduler.acquire('card', { key: 'k', requestId: 'tab-a' });
+
+    scheduler.cancel('tab-a');
+    scheduler.cancel('tab-b');
+    assert.strictEqual(await outcome(first), 'CANCELLED', 'request should be dropped once nobody waits');
+}
+
+async function joinerTakesPriority() {
+    const scheduler = busyScheduler();
+    scheduler.join('k', 'tab-b', 'detail');
+    const first = scheduler.acquire('prefetch', { key: 'k', requestId: 'tab-a' });
+
+    assert.strictEqual(scheduler.getStats().byPriority.detail, 1, 'early joiner priority was lost');
+    scheduler.cancel('tab-a');
+    scheduler.cancel('tab-b');
+    await outcome(first);
+}
+
+(async () => {
+    const checks = [joinedAfterQueueing, joinedBeforeQueueing, joinedWithoutId, everyoneCancels, joinerTakesPriority];
+    for (const check of checks) await check();
+    console.log(`request-scheduler: ${checks.length} checks passed`);
+})().catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+});